@@ -1,4 +1,9 @@
 // Background Service Worker
+import { CookiesManager } from './popup/modules/CookiesManager.js';
+import { CookieLocksManager } from './popup/modules/CookieLocksManager.js';
+
+const lockCookiesManager = new CookiesManager();
+const cookieLocksManager = new CookieLocksManager();
 
 // Listen for icon click
 chrome.action.onClicked.addListener(async (tab) => {
@@ -59,3 +64,65 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true; // async
     }
 });
+
+// Live cookie change feed: each popup connects a port and subscribes to one site
+const cookieFeedSubscriptions = new Map(); // port -> { domain, storeId }
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'cookie-feed') return;
+
+    port.onMessage.addListener((msg) => {
+        if (msg.type === 'subscribe') {
+            cookieFeedSubscriptions.set(port, { domain: msg.domain, storeId: msg.storeId || null });
+        }
+    });
+    port.onDisconnect.addListener(() => cookieFeedSubscriptions.delete(port));
+});
+
+chrome.cookies.onChanged.addListener((changeInfo) => {
+    if (cookieFeedSubscriptions.size === 0) return;
+
+    const cookie = changeInfo.cookie;
+    const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+    const event = {
+        type: 'cookieChanged',
+        removed: changeInfo.removed,
+        cause: changeInfo.cause,
+        cookie,
+        timestamp: Date.now()
+    };
+
+    cookieFeedSubscriptions.forEach((sub, port) => {
+        if (sub.storeId && sub.storeId !== cookie.storeId) return;
+        if (domain !== sub.domain && !domain.endsWith(`.${sub.domain}`)) return;
+        port.postMessage(event);
+    });
+});
+
+// Cookie lock rules: rewrite pinned cookies whenever something else changes or deletes them
+chrome.cookies.onChanged.addListener(async (changeInfo) => {
+    const { removed, cause, cookie } = changeInfo;
+
+    // An overwrite removal is always followed by an add event carrying the new value
+    if (removed && cause === 'overwrite') return;
+
+    let rule = await cookieLocksManager.find(cookie);
+    if (!rule) return;
+    if (!removed && cookie.value === rule.cookie.value) return;
+
+    // The popup moves or drops a lock before an intentional edit; make sure that has not happened
+    // before reverting, since the cached rules may predate it
+    rule = await cookieLocksManager.find(cookie, true);
+    if (!rule) return;
+    if (!removed && cookie.value === rule.cookie.value) return;
+
+    // Re-setting an expired cookie would only delete it again and loop
+    if (rule.cookie.expirationDate && rule.cookie.expirationDate <= Date.now() / 1000) return;
+
+    try {
+        await lockCookiesManager.set(rule.cookie);
+        await cookieLocksManager.recordEnforcement(rule.id);
+    } catch (e) {
+        console.warn('Failed to enforce cookie lock:', rule.cookie.name, e);
+    }
+});
@@ -0,0 +1,68 @@
+/**
+ * Storage Manager Cookie Tracer
+ * Runs in the page's MAIN world and records a stack trace for every
+ * document.cookie write and cookieStore.set() call.
+ */
+
+(function () {
+    if (window.__storageManagerCookieTracer) {
+        return;
+    }
+
+    const MAX_RECORDS = 500;
+    const records = [];
+    window.__storageManagerCookieTracer = { records };
+
+    // First stack frame outside this extension, e.g. "https://cdn.example.com/app.js:12:345"
+    const findCaller = (stack) => {
+        const frames = stack.split('\n').slice(1);
+        for (const frame of frames) {
+            if (frame.includes('chrome-extension://')) continue;
+            const match = frame.match(/((?:https?|file|blob:https?):\/\/[^\s()]+?):(\d+):(\d+)\)?\s*$/);
+            if (match) return { url: match[1], line: Number(match[2]), column: Number(match[3]) };
+        }
+        return null;
+    };
+
+    const record = (api, name, value, raw) => {
+        const stack = new Error().stack || '';
+        records.push({
+            api,
+            name,
+            value,
+            raw,
+            timestamp: Date.now(),
+            caller: findCaller(stack),
+            // Drop the "Error" line and the tracer's own frames
+            stack: stack.split('\n').slice(1).filter(frame => !frame.includes('chrome-extension://')).map(frame => frame.trim()).join('\n')
+        });
+        if (records.length > MAX_RECORDS) records.shift();
+    };
+
+    const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+    if (descriptor && descriptor.set) {
+        Object.defineProperty(Document.prototype, 'cookie', {
+            ...descriptor,
+            set(raw) {
+                try {
+                    const pair = String(raw).split(';')[0];
+                    const eq = pair.indexOf('=');
+                    // A pair without "=" sets a cookie with an empty name
+                    record('document.cookie', eq >= 0 ? pair.substring(0, eq).trim() : '', eq >= 0 ? pair.substring(eq + 1).trim() : pair.trim(), String(raw));
+                } catch (e) { }
+                return descriptor.set.call(this, raw);
+            }
+        });
+    }
+
+    if (window.CookieStore && CookieStore.prototype.set) {
+        const originalSet = CookieStore.prototype.set;
+        CookieStore.prototype.set = function (nameOrOptions, value) {
+            try {
+                const options = typeof nameOrOptions === 'object' && nameOrOptions !== null ? nameOrOptions : { name: nameOrOptions, value };
+                record('cookieStore.set', String(options.name), String(options.value), JSON.stringify(options));
+            } catch (e) { }
+            return originalSet.apply(this, arguments);
+        };
+    }
+})();
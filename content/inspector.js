@@ -9,6 +9,48 @@
     }
     window.__storageManagerInjected = true;
 
+    // Relay mutations from the MAIN-world monitor (storage-monitor.js) to the extension.
+    // The page can dispatch the same event, so only well-formed mutations are passed on.
+    const nullableString = (val) => val === null || typeof val === 'string';
+    const isMutation = (m) => !!m && typeof m === 'object' &&
+        ['localStorage', 'sessionStorage', 'unknown'].includes(m.storageType) &&
+        ['set', 'remove', 'clear'].includes(m.op) &&
+        nullableString(m.key) && nullableString(m.oldValue) && nullableString(m.newValue) &&
+        typeof m.timestamp === 'number' && typeof m.url === 'string' && typeof m.stack === 'string';
+
+    document.addEventListener('__storageManagerMutation', (event) => {
+        let mutation = null;
+        try {
+            mutation = JSON.parse(event.detail);
+        } catch (e) {
+            return;
+        }
+        if (!isMutation(mutation)) return;
+        const { storageType, op, key, oldValue, newValue, timestamp, url, stack } = mutation;
+        chrome.runtime.sendMessage({ type: 'storageMutation', mutation: { storageType, op, key, oldValue, newValue, timestamp, url, stack } }).catch(() => {
+            // No extension page is listening
+        });
+    });
+
+    // IndexedDB keys cross the JSON message channel tagged, so Date, binary and infinite keys
+    // (also inside array keys) come back as the key that is stored: { $idbKey: type, value }
+    const encodeKey = (key) => {
+        if (Array.isArray(key)) return key.map(encodeKey);
+        if (key instanceof Date) return { $idbKey: 'date', value: key.getTime() };
+        if (key instanceof ArrayBuffer) return { $idbKey: 'binary', value: Array.from(new Uint8Array(key)) };
+        if (ArrayBuffer.isView(key)) return { $idbKey: 'binary', value: Array.from(new Uint8Array(key.buffer, key.byteOffset, key.byteLength)) };
+        if (typeof key === 'number' && !Number.isFinite(key)) return { $idbKey: 'number', value: String(key) };
+        return key;
+    };
+    const decodeKey = (key) => {
+        if (Array.isArray(key)) return key.map(decodeKey);
+        if (!key || typeof key !== 'object' || typeof key.$idbKey !== 'string') return key;
+        if (key.$idbKey === 'date') return new Date(key.value);
+        if (key.$idbKey === 'binary') return new Uint8Array(key.value).buffer;
+        if (key.$idbKey === 'number') return Number(key.value);
+        return key;
+    };
+
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // console.log('StorageManager: Message received', request);
 
@@ -35,6 +77,27 @@
                 sessionStorage.removeItem(request.key);
                 sendResponse({ success: true });
             }
+            else if (request.type === 'batchLocalStorage' || request.type === 'batchSessionStorage') {
+                // Removes then sets in one go; on failure (usually QuotaExceededError)
+                // the storage area is restored to its previous contents
+                const storage = request.type === 'batchLocalStorage' ? localStorage : sessionStorage;
+                // Spread would miss keys shadowed by Storage.prototype ("key", "length", "clear"...),
+                // and pairs rather than an object keep a "__proto__" key
+                const snapshot = [];
+                for (let i = 0; i < storage.length; i++) {
+                    const key = storage.key(i);
+                    snapshot.push([key, storage.getItem(key)]);
+                }
+                try {
+                    (request.remove || []).forEach(key => storage.removeItem(key));
+                    (request.set || []).forEach(([key, value]) => storage.setItem(key, value));
+                    sendResponse({ success: true });
+                } catch (e) {
+                    storage.clear();
+                    snapshot.forEach(([key, value]) => storage.setItem(key, value));
+                    sendResponse({ error: `${e.name}: ${e.message}. No changes were kept.` });
+                }
+            }
             else if (request.type === 'getIndexedDBList') {
                 (async () => {
                     try {
@@ -69,8 +132,9 @@
             }
             else if (request.type === 'getIndexedDBStoreData') {
                 (async () => {
+                    let db = null;
                     try {
-                        const db = await new Promise((resolve, reject) => {
+                        db = await new Promise((resolve, reject) => {
                             const req = indexedDB.open(request.dbName);
                             req.onsuccess = () => resolve(req.result);
                             req.onerror = () => reject(req.error);
@@ -78,25 +142,102 @@
 
                         const tx = db.transaction(request.storeName, 'readonly');
                         const store = tx.objectStore(request.storeName);
-                        const items = await new Promise((resolve, reject) => {
-                            const req = store.getAll();
+
+                        // Walk the store (or an index) with a cursor, one page per message.
+                        // `after` is the { key, primaryKey } of the last row already sent.
+                        const { indexName, lowerOpen, upperOpen, direction = 'next' } = request.query || {};
+                        const lower = decodeKey((request.query || {}).lower);
+                        const upper = decodeKey((request.query || {}).upper);
+                        const source = indexName ? store.index(indexName) : store;
+                        const pageSize = request.pageSize || 100;
+                        const after = request.after ? { key: decodeKey(request.after.key), primaryKey: decodeKey(request.after.primaryKey) } : null;
+                        let range = null;
+                        if (lower !== undefined && upper !== undefined) range = IDBKeyRange.bound(lower, upper, !!lowerOpen, !!upperOpen);
+                        else if (lower !== undefined) range = IDBKeyRange.lowerBound(lower, !!lowerOpen);
+                        else if (upper !== undefined) range = IDBKeyRange.upperBound(upper, !!upperOpen);
+
+                        // Only the first page pays for the count. count() tallies records, which a
+                        // unique walk skips over, so no total is reported for those directions.
+                        const unique = direction.endsWith('unique');
+                        const total = after || unique ? null : await new Promise((resolve, reject) => {
+                            const req = source.count(range);
                             req.onsuccess = () => resolve(req.result);
                             req.onerror = () => reject(req.error);
                         });
 
-                        const keys = await new Promise((resolve, reject) => {
-                            const req = store.getAllKeys();
-                            req.onsuccess = () => resolve(req.result);
+                        // Position relative to the token in walking order: < 0 before it, 0 on it, > 0 past it
+                        const sign = direction.startsWith('prev') ? -1 : 1;
+                        const byPrimaryKey = indexName && !unique;
+                        const position = (cursor) => {
+                            const byKey = indexedDB.cmp(cursor.key, after.key) * sign;
+                            if (byKey !== 0 || !byPrimaryKey) return byKey;
+                            return indexedDB.cmp(cursor.primaryKey, after.primaryKey) * sign;
+                        };
+
+                        const page = await new Promise((resolve, reject) => {
+                            const rows = [];
+                            const req = source.openCursor(range, direction);
+                            req.onsuccess = () => {
+                                const cursor = req.result;
+                                if (!cursor) {
+                                    resolve({ rows, more: false });
+                                    return;
+                                }
+                                if (after && rows.length === 0) {
+                                    const pos = position(cursor);
+                                    if (pos < 0) {
+                                        // Jump straight to the token instead of stepping through earlier rows
+                                        if (byPrimaryKey) cursor.continuePrimaryKey(after.key, after.primaryKey);
+                                        else cursor.continue(after.key);
+                                        return;
+                                    }
+                                    if (pos === 0) {
+                                        cursor.continue();
+                                        return;
+                                    }
+                                }
+                                if (rows.length === pageSize) {
+                                    // One row past the page proves there is more
+                                    resolve({ rows, more: true });
+                                    return;
+                                }
+                                rows.push({ key: encodeKey(cursor.primaryKey), indexKey: indexName ? encodeKey(cursor.key) : undefined, value: cursor.value });
+                                cursor.continue();
+                            };
                             req.onerror = () => reject(req.error);
                         });
 
-                        // Zip keys and values
-                        const data = items.map((val, i) => ({ key: keys[i], value: val }));
+                        const last = page.rows[page.rows.length - 1];
+                        const next = page.more ? { key: indexName ? last.indexKey : last.key, primaryKey: last.key } : null;
 
-                        db.close();
-                        sendResponse({ data: data });
+                        sendResponse({ data: page.rows, next, total });
+                    } catch (e) {
+                        sendResponse({ error: e.message });
+                    } finally {
+                        if (db) db.close();
+                    }
+                })();
+                return true;
+            }
+            else if (request.type === 'getIndexedDBStoreInfo') {
+                (async () => {
+                    let db = null;
+                    try {
+                        db = await new Promise((resolve, reject) => {
+                            const req = indexedDB.open(request.dbName);
+                            req.onsuccess = () => resolve(req.result);
+                            req.onerror = () => reject(req.error);
+                        });
+                        const store = db.transaction(request.storeName, 'readonly').objectStore(request.storeName);
+                        const indexes = [...store.indexNames].map(name => {
+                            const index = store.index(name);
+                            return { name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                        });
+                        sendResponse({ data: { keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes } });
                     } catch (e) {
                         sendResponse({ error: e.message });
+                    } finally {
+                        if (db) db.close();
                     }
                 })();
                 return true;
@@ -109,13 +250,28 @@
                             req.onsuccess = () => resolve(req.result);
                             req.onerror = () => reject(req.error);
                         });
+                        const key = decodeKey(request.key);
                         const tx = db.transaction(request.storeName, 'readwrite');
                         const store = tx.objectStore(request.storeName);
                         // Using 'put' handles both add and update.
-                        // If 'key' is provided separately, use it if store doesn't have auto-increment/keyPath issues
-                        // For KV-style (no keyPath), put(value, key) is standard.
+                        // For KV-style (no keyPath), put(value, key) is standard. Stores with a keyPath
+                        // take the key from the value and throw DataError if one is passed separately.
+                        const inline = store.keyPath !== null;
+                        if (inline && key !== undefined) {
+                            const path = Array.isArray(store.keyPath) ? store.keyPath : [store.keyPath];
+                            const read = (p) => p === '' ? request.value : p.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), request.value);
+                            const inlineKey = Array.isArray(store.keyPath) ? path.map(read) : read(path[0]);
+                            let sameKey = false;
+                            try {
+                                sameKey = indexedDB.cmp(inlineKey, key) === 0;
+                            } catch (e) { }
+                            if (!sameKey) {
+                                db.close();
+                                throw new Error(`Value does not carry key ${JSON.stringify(request.key)} at keyPath ${JSON.stringify(store.keyPath)}`);
+                            }
+                        }
                         await new Promise((resolve, reject) => {
-                            const req = store.put(request.value, request.key);
+                            const req = inline ? store.put(request.value) : store.put(request.value, key);
                             req.onsuccess = () => resolve();
                             req.onerror = () => reject(req.error);
                         });
@@ -127,6 +283,158 @@
                 })();
                 return true;
             }
+            else if (request.type === 'patchIndexedDBItem') {
+                // Rewrites string fields of the stored record in place, so Dates, Blobs, Maps and
+                // typed arrays elsewhere in it survive. Each patch is { path: string[], from, to }.
+                (async () => {
+                    let db = null;
+                    try {
+                        db = await new Promise((resolve, reject) => {
+                            const req = indexedDB.open(request.dbName);
+                            req.onsuccess = () => resolve(req.result);
+                            req.onerror = () => reject(req.error);
+                        });
+                        const key = decodeKey(request.key);
+                        const tx = db.transaction(request.storeName, 'readwrite');
+                        const store = tx.objectStore(request.storeName);
+                        const inline = store.keyPath !== null;
+                        const readKey = (value) => {
+                            const read = (p) => p === '' ? value : p.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), value);
+                            return Array.isArray(store.keyPath) ? store.keyPath.map(read) : read(store.keyPath);
+                        };
+
+                        await new Promise((resolve, reject) => {
+                            const fail = (error) => {
+                                tx.abort();
+                                reject(error);
+                            };
+                            const req = store.get(key);
+                            req.onsuccess = () => {
+                                let value = req.result;
+                                if (value === undefined) {
+                                    fail(new Error(`No record with key ${JSON.stringify(request.key)}`));
+                                    return;
+                                }
+                                const keyBefore = inline ? readKey(value) : null;
+
+                                for (const { path, from, to } of request.patches) {
+                                    const where = path.length > 0 ? path.join('.') : 'value';
+                                    if (path.length === 0) {
+                                        if (value !== from) {
+                                            fail(new Error(`${where} is not the string that was searched`));
+                                            return;
+                                        }
+                                        value = to;
+                                        continue;
+                                    }
+                                    const parent = path.slice(0, -1).reduce((obj, prop) => (
+                                        obj && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, prop) ? obj[prop] : undefined
+                                    ), value);
+                                    const prop = path[path.length - 1];
+                                    // A Date or other non-string arrives in the popup as its JSON text; never overwrite it
+                                    if (!parent || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, prop) || parent[prop] !== from) {
+                                        fail(new Error(`${where} is not the string that was searched`));
+                                        return;
+                                    }
+                                    parent[prop] = to;
+                                }
+
+                                if (inline) {
+                                    let sameKey = false;
+                                    try {
+                                        sameKey = indexedDB.cmp(readKey(value), keyBefore) === 0;
+                                    } catch (e) { }
+                                    if (!sameKey) {
+                                        fail(new Error(`Replacement would change the key at keyPath ${JSON.stringify(store.keyPath)}`));
+                                        return;
+                                    }
+                                }
+                                const put = inline ? store.put(value) : store.put(value, key);
+                                put.onerror = () => reject(put.error);
+                            };
+                            req.onerror = () => reject(req.error);
+                            tx.oncomplete = () => resolve();
+                            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+                        });
+                        sendResponse({ success: true });
+                    } catch (e) {
+                        sendResponse({ error: e.message });
+                    } finally {
+                        if (db) db.close();
+                    }
+                })();
+                return true;
+            }
+            else if (request.type === 'deleteIndexedDBItem' || request.type === 'clearIndexedDBStore') {
+                (async () => {
+                    let db = null;
+                    try {
+                        db = await new Promise((resolve, reject) => {
+                            const req = indexedDB.open(request.dbName);
+                            req.onsuccess = () => resolve(req.result);
+                            req.onerror = () => reject(req.error);
+                        });
+                        const tx = db.transaction(request.storeName, 'readwrite');
+                        const store = tx.objectStore(request.storeName);
+                        await new Promise((resolve, reject) => {
+                            const req = request.type === 'clearIndexedDBStore' ? store.clear() : store.delete(decodeKey(request.key));
+                            req.onsuccess = () => resolve();
+                            req.onerror = () => reject(req.error);
+                        });
+                        sendResponse({ success: true });
+                    } catch (e) {
+                        sendResponse({ error: e.message });
+                    } finally {
+                        // A leaked connection would block the next Delete Store / Delete Database
+                        if (db) db.close();
+                    }
+                })();
+                return true;
+            }
+            else if (request.type === 'deleteIndexedDBStore') {
+                (async () => {
+                    try {
+                        // Object stores can only be dropped inside a versionchange transaction,
+                        // so reopen the database one version up
+                        const current = await new Promise((resolve, reject) => {
+                            const req = indexedDB.open(request.dbName);
+                            req.onsuccess = () => resolve(req.result);
+                            req.onerror = () => reject(req.error);
+                        });
+                        const nextVersion = current.version + 1;
+                        current.close();
+
+                        const req = indexedDB.open(request.dbName, nextVersion);
+                        req.onupgradeneeded = (e) => {
+                            const db = e.target.result;
+                            if (db.objectStoreNames.contains(request.storeName)) {
+                                db.deleteObjectStore(request.storeName);
+                            }
+                        };
+                        // Another connection (usually the page's own) did not close on versionchange;
+                        // the upgrade stays queued until it does
+                        req.onblocked = () => sendResponse({ blocked: true });
+                        req.onsuccess = (e) => {
+                            e.target.result.close();
+                            sendResponse({ success: true });
+                        };
+                        req.onerror = (e) => {
+                            sendResponse({ error: e.target.error ? e.target.error.message : 'Unknown error' });
+                        };
+                    } catch (e) {
+                        sendResponse({ error: e.message });
+                    }
+                })();
+                return true;
+            }
+            else if (request.type === 'deleteIndexedDBDatabase') {
+                const req = indexedDB.deleteDatabase(request.dbName);
+                // Same as above: the deletion completes once every other connection closes
+                req.onblocked = () => sendResponse({ blocked: true });
+                req.onsuccess = () => sendResponse({ success: true });
+                req.onerror = () => sendResponse({ error: req.error ? req.error.message : 'Unknown error' });
+                return true;
+            }
             else if (request.type === 'createIndexedDBStore') {
                 (async () => {
                     try {
@@ -0,0 +1,83 @@
+/**
+ * Storage Manager Mutation Monitor
+ * Runs in the page's MAIN world, wraps Storage.prototype.setItem/removeItem/clear
+ * and dispatches every mutation to inspector.js, which relays it to the extension.
+ */
+
+(function () {
+    if (window.__storageManagerMonitor) {
+        window.__storageManagerMonitor.enabled = true;
+        return;
+    }
+
+    // Must match the listener in inspector.js
+    const MUTATION_EVENT = '__storageManagerMutation';
+
+    const monitor = { enabled: true };
+    window.__storageManagerMonitor = monitor;
+
+    const proto = Storage.prototype;
+    const original = {
+        getItem: proto.getItem,
+        setItem: proto.setItem,
+        removeItem: proto.removeItem,
+        clear: proto.clear,
+        key: proto.key
+    };
+
+    const storageType = (storage) => {
+        try {
+            if (storage === window.localStorage) return 'localStorage';
+            if (storage === window.sessionStorage) return 'sessionStorage';
+        } catch (e) { }
+        return 'unknown';
+    };
+
+    const post = (storage, op, key, oldValue, newValue) => {
+        const mutation = {
+            storageType: storageType(storage),
+            op,
+            key,
+            oldValue,
+            newValue,
+            timestamp: Date.now(),
+            url: location.href,
+            // Drop the "Error" line and every frame of this script, so the first frame is the page's caller
+            stack: (new Error().stack || '').split('\n').slice(1)
+                .filter(frame => !frame.includes('chrome-extension://'))
+                .map(frame => frame.trim()).join('\n')
+        };
+        // A DOM event rather than window.postMessage, which every frame listener can read;
+        // the detail is a string so it crosses from the MAIN world to inspector.js intact
+        document.dispatchEvent(new CustomEvent(MUTATION_EVENT, { detail: JSON.stringify(mutation) }));
+    };
+
+    proto.setItem = function (key, value) {
+        if (!monitor.enabled) return original.setItem.apply(this, arguments);
+        const oldValue = original.getItem.call(this, key);
+        const result = original.setItem.apply(this, arguments);
+        const newValue = original.getItem.call(this, key);
+        if (oldValue !== newValue) post(this, 'set', String(key), oldValue, newValue);
+        return result;
+    };
+
+    proto.removeItem = function (key) {
+        if (!monitor.enabled) return original.removeItem.apply(this, arguments);
+        const oldValue = original.getItem.call(this, key);
+        const result = original.removeItem.apply(this, arguments);
+        if (oldValue !== null) post(this, 'remove', String(key), oldValue, null);
+        return result;
+    };
+
+    proto.clear = function () {
+        if (!monitor.enabled) return original.clear.apply(this, arguments);
+        const snapshot = {};
+        for (let i = 0; i < this.length; i++) {
+            const key = original.key.call(this, i);
+            snapshot[key] = original.getItem.call(this, key);
+        }
+        const result = original.clear.apply(this, arguments);
+        if (Object.keys(snapshot).length > 0) post(this, 'clear', null, JSON.stringify(snapshot, null, 2), null);
+        return result;
+    };
+})();
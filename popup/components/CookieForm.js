@@ -0,0 +1,189 @@
+/**
+ * Cookie Form Component
+ * Modal editor for every attribute chrome.cookies.set accepts, with live validation
+ * and a preview of the equivalent Set-Cookie header.
+ */
+export class CookieForm {
+    constructor(cookiesManager) {
+        this.cookiesManager = cookiesManager;
+    }
+
+    _toLocalInput(seconds) {
+        const d = new Date(seconds * 1000);
+        return new Date(d.getTime() - (d.getTimezoneOffset() * 60000)).toISOString().slice(0, 16);
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} options.title
+     * @param {object} options.cookie Initial values (chrome.cookies-shaped)
+     * @param {string} [options.saveLabel]
+     * @param {(cookie: object) => Promise<void>} options.onSave Throw to keep the form open and show the error
+     */
+    open({ title, cookie, saveLabel = 'Save', onSave }) {
+        const overlay = document.createElement('div');
+        overlay.style.cssText = `
+            position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.5); z-index: 2000;
+            display: flex; justify-content: center; align-items: center;
+        `;
+
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            background: var(--bg-secondary); border: 1px solid var(--border-color);
+            border-radius: 8px; width: 520px; max-width: 95%; max-height: 90%;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+            display: flex; flex-direction: column;
+        `;
+
+        const inputStyle = 'background:var(--bg-main); border:1px solid var(--border-color); color:var(--text-primary); padding:4px; border-radius:4px; width:100%;';
+        const label = (text) => `<td style="color:var(--text-secondary); vertical-align: top; padding-top: 4px;">${text}</td>`;
+
+        modal.innerHTML = `
+            <div style="padding: 16px; border-bottom: 1px solid var(--border-color); font-weight: 600;"></div>
+            <div style="padding: 16px; overflow: auto; min-height: 0; flex: 1;">
+                <table style="width:100%; border-collapse: separate; border-spacing: 0 6px; font-size:13px; table-layout: fixed;">
+                    <colgroup><col style="width: 110px;"><col style="width: auto;"></colgroup>
+                    <tbody>
+                        <tr>${label('Name')}<td><input data-field="name" type="text" style="${inputStyle}"></td></tr>
+                        <tr>${label('Value')}<td><textarea data-field="value" rows="3" spellcheck="false" style="${inputStyle} font-family: monospace; resize: vertical;"></textarea></td></tr>
+                        <tr>${label('Domain')}<td>
+                            <input data-field="domain" type="text" style="${inputStyle}">
+                            <label style="font-size:11px; color:var(--text-secondary);"><input data-field="hostOnly" type="checkbox"> Host-only (no Domain attribute, not sent to subdomains)</label>
+                        </td></tr>
+                        <tr>${label('Path')}<td><input data-field="path" type="text" style="${inputStyle}"></td></tr>
+                        <tr>${label('Expires')}<td>
+                            <input data-field="expiry" type="datetime-local" style="${inputStyle}">
+                            <label style="font-size:11px; color:var(--text-secondary);"><input data-field="session" type="checkbox"> Session cookie (deleted when the browser closes)</label>
+                        </td></tr>
+                        <tr>${label('Flags')}<td>
+                            <label style="margin-right: 12px;"><input data-field="secure" type="checkbox"> Secure</label>
+                            <label><input data-field="httpOnly" type="checkbox"> HttpOnly</label>
+                        </td></tr>
+                        <tr>${label('SameSite')}<td>
+                            <select data-field="sameSite" style="${inputStyle}">
+                                <option value="unspecified">Unspecified (Lax by default)</option>
+                                <option value="lax">Lax</option>
+                                <option value="strict">Strict</option>
+                                <option value="no_restriction">None</option>
+                            </select>
+                        </td></tr>
+                        <tr>${label('Partitioned')}<td>
+                            <label style="font-size:11px; color:var(--text-secondary);"><input data-field="partitioned" type="checkbox"> CHIPS: only sent under one top-level site</label>
+                            <input data-field="topLevelSite" type="text" placeholder="https://top-level-site.com" style="${inputStyle}">
+                            <label style="font-size:11px; color:var(--text-secondary);"><input data-field="hasCrossSiteAncestor" type="checkbox"> hasCrossSiteAncestor</label>
+                        </td></tr>
+                    </tbody>
+                </table>
+                <div class="cookie-form-problems" style="font-size: 12px; color: var(--danger); margin: 4px 0;"></div>
+                <div style="display: flex; gap: 8px; align-items: flex-start;">
+                    <pre class="cookie-form-header" style="flex: 1; margin: 0; padding: 6px; background: var(--bg-main); border: 1px solid var(--border-color); border-radius: 4px; white-space: pre-wrap; word-break: break-all; font-size: 11px;"></pre>
+                    <button class="cookie-form-copy" title="Copy Set-Cookie line" style="padding: 4px 8px; border: 1px solid var(--border-color); background: transparent; color: var(--text-primary); border-radius: 4px; cursor: pointer;">Copy</button>
+                </div>
+            </div>
+            <div style="padding: 16px; border-top: 1px solid var(--border-color); display: flex; justify-content: flex-end; gap: 8px;">
+                <button class="cookie-form-cancel" style="padding: 6px 12px; border: 1px solid var(--border-color); background: transparent; color: var(--text-primary); border-radius: 4px; cursor: pointer;">Cancel</button>
+                <button class="cookie-form-save" style="padding: 6px 12px; border: 1px solid transparent; background: var(--accent-primary); color: var(--accent-text); border-radius: 4px; cursor: pointer;"></button>
+            </div>
+        `;
+        modal.firstElementChild.textContent = title;
+
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        const field = (name) => modal.querySelector(`[data-field="${name}"]`);
+        const saveBtn = modal.querySelector('.cookie-form-save');
+        saveBtn.textContent = saveLabel;
+
+        // Fill in initial values
+        field('name').value = cookie.name || '';
+        field('value').value = cookie.value || '';
+        field('domain').value = (cookie.domain || '').replace(/^\./, '');
+        field('hostOnly').checked = cookie.hostOnly !== false;
+        field('path').value = cookie.path || '/';
+        field('session').checked = !cookie.expirationDate;
+        if (cookie.expirationDate) field('expiry').value = this._toLocalInput(cookie.expirationDate);
+        field('secure').checked = !!cookie.secure;
+        field('httpOnly').checked = !!cookie.httpOnly;
+        field('sameSite').value = cookie.sameSite || 'unspecified';
+        field('partitioned').checked = !!cookie.partitionKey;
+        field('topLevelSite').value = cookie.partitionKey ? cookie.partitionKey.topLevelSite : '';
+        field('hasCrossSiteAncestor').checked = !!(cookie.partitionKey && cookie.partitionKey.hasCrossSiteAncestor);
+
+        const read = () => {
+            const hostOnly = field('hostOnly').checked;
+            const domain = field('domain').value.trim().replace(/^\./, '');
+            const result = {
+                name: field('name').value,
+                value: field('value').value,
+                domain: hostOnly ? domain : `.${domain}`,
+                hostOnly,
+                path: field('path').value.trim() || '/',
+                secure: field('secure').checked,
+                httpOnly: field('httpOnly').checked,
+                sameSite: field('sameSite').value
+            };
+            if (cookie.storeId) result.storeId = cookie.storeId;
+            if (!field('session').checked && field('expiry').value) {
+                result.expirationDate = new Date(field('expiry').value).getTime() / 1000;
+            }
+            if (field('partitioned').checked) {
+                result.partitionKey = { topLevelSite: field('topLevelSite').value.trim() };
+                if (field('hasCrossSiteAncestor').checked) result.partitionKey.hasCrossSiteAncestor = true;
+            }
+            return result;
+        };
+
+        const validate = () => {
+            const session = field('session').checked;
+            field('expiry').disabled = session;
+            const partitioned = field('partitioned').checked;
+            field('topLevelSite').disabled = !partitioned;
+            field('hasCrossSiteAncestor').disabled = !partitioned;
+
+            const current = read();
+            const problems = [];
+            if (!session && !current.expirationDate) problems.push('Pick an expiry or mark it as a session cookie');
+            if (current.expirationDate !== undefined && isNaN(current.expirationDate)) problems.push('Invalid expiry date');
+            if (current.partitionKey) {
+                try {
+                    current.partitionKey.topLevelSite = this.cookiesManager.toTopLevelSite(current.partitionKey.topLevelSite);
+                } catch (e) {
+                    problems.push('Invalid top-level site');
+                }
+            }
+            problems.push(...this.cookiesManager.validate(current));
+
+            modal.querySelector('.cookie-form-problems').innerHTML = problems.map(p => `<div>⚠ ${p.replace(/</g, '&lt;')}</div>`).join('');
+            modal.querySelector('.cookie-form-header').textContent = this.cookiesManager.toSetCookie(current);
+            saveBtn.disabled = problems.length > 0;
+            saveBtn.style.opacity = problems.length > 0 ? '0.5' : '1';
+            return problems.length === 0 ? current : null;
+        };
+
+        modal.querySelectorAll('[data-field]').forEach(input => {
+            input.oninput = validate;
+            input.onchange = validate;
+        });
+        validate();
+
+        modal.querySelector('.cookie-form-copy').onclick = () =>
+            navigator.clipboard.writeText(modal.querySelector('.cookie-form-header').textContent);
+        modal.querySelector('.cookie-form-cancel').onclick = () => overlay.remove();
+
+        saveBtn.onclick = async () => {
+            const result = validate();
+            if (!result) return;
+            saveBtn.disabled = true;
+            try {
+                await onSave(result);
+                overlay.remove();
+            } catch (e) {
+                modal.querySelector('.cookie-form-problems').textContent = `Chrome rejected the cookie: ${e.message}`;
+                saveBtn.disabled = false;
+            }
+        };
+
+        setTimeout(() => field('name').focus(), 10);
+    }
+}
@@ -9,12 +9,62 @@ export class DataGrid {
         this.onEdit = options.onEdit || (() => { });
         this.onDelete = options.onDelete || (() => { });
         this.onUpdate = options.onUpdate || null;
+        this.onShowProperties = options.onShowProperties || null; // (item) => void, replaces the built-in properties modal
         this.onDuplicate = options.onDuplicate || null;
         this.onAdd = options.onAdd || null;
         this.extraContextItems = options.extraContextItems || []; // [{ label, action }]
+        this.rowContextItems = options.rowContextItems || []; // [{ label, action(item) }]
         this.enableGlobalContextMenu = options.enableGlobalContextMenu !== false;
+        this.rowKey = options.rowKey || null; // item => string, identifies rows for in-place updates
         this.sortCol = options.defaultSortCol || null;
         this.sortDir = options.defaultSortDir || 'asc';
+        this.filterText = options.filterText || '';
+
+        // Incremental loading: onLoadMore() resolves { items, hasMore } and runs when the end of the table scrolls into view
+        this.onLoadMore = options.onLoadMore || null;
+        this.hasMore = !!options.hasMore;
+        this.totalCount = options.totalCount ?? null; // Shown next to the loaded count, if known
+        this.loadingMore = false;
+        this.loadMoreObserver = null;
+        // item => bytes shown in the properties modal; defaults to a character count
+        this.sizeOf = options.sizeOf || ((item) => {
+            const keySize = item.name ? item.name.length : (item.key ? item.key.length : 0);
+            const valSize = item.value ? String(item.value).length : 0;
+            return keySize + valSize;
+        });
+
+        // Bulk API: enables row checkboxes and the selection toolbar
+        this.onBulkDelete = options.onBulkDelete || null; // (items) => Promise
+        this.onBulkDecode = options.onBulkDecode || null; // (items) => void
+        this.bulkActions = options.bulkActions || []; // [{ label, action(items), danger }]
+        this.selectable = options.selectable || !!(this.onBulkDelete || this.onBulkDecode || this.bulkActions.length > 0);
+        this.selection = new Set(); // row keys
+        this.lastSelectedIndex = null;
+        this.displayData = [];
+
+        if (this.selectable) {
+            // Selection needs stable row identity even if the caller did not provide one
+            if (!this.rowKey) {
+                this.rowKey = (item) => JSON.stringify(item.key !== undefined ? item.key : item.name);
+            }
+
+            this.container.tabIndex = -1;
+            this.container.style.outline = 'none';
+            if (this.container._dataGridKeyHandler) {
+                this.container.removeEventListener('keydown', this.container._dataGridKeyHandler);
+            }
+            const keyHandler = (e) => {
+                if (e.target.closest('input, textarea, select')) return;
+                if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a') {
+                    e.preventDefault();
+                    this.selectAll(true);
+                } else if (e.key === 'Escape' && this.selection.size > 0) {
+                    this.clearSelection();
+                }
+            };
+            this.container.addEventListener('keydown', keyHandler);
+            this.container._dataGridKeyHandler = keyHandler;
+        }
 
         // Global Context Menu for container/empty space
         // Prevent duplicate listeners if container is reused
@@ -38,8 +88,19 @@ export class DataGrid {
     }
 
     render(data) {
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.disconnect();
+            this.loadMoreObserver = null;
+        }
         this.container.innerHTML = '';
         this.data = data; // Keep reference
+        this.displayData = [];
+
+        // Drop selected keys whose rows are gone
+        if (this.selectable && this.selection.size > 0) {
+            const present = new Set((data || []).map(item => this.rowKey(item)));
+            this.selection.forEach(key => { if (!present.has(key)) this.selection.delete(key); });
+        }
 
         if (!data || data.length === 0) {
             this.container.innerHTML = `
@@ -71,12 +132,33 @@ export class DataGrid {
             });
         }
 
+        // Quick filter: case-insensitive match against any column's raw value
+        if (this.filterText) {
+            const needle = this.filterText.toLowerCase();
+            displayData = displayData.filter(item => this.columns.some(col => {
+                const val = item[col.key];
+                if (val === null || val === undefined) return false;
+                return (typeof val === 'object' ? JSON.stringify(val) : String(val)).toLowerCase().includes(needle);
+            }));
+        }
+
         const table = document.createElement('table');
         table.className = 'data-grid-table';
 
         // Header
         const thead = document.createElement('thead');
         const headerRow = document.createElement('tr');
+        this.displayData = displayData;
+
+        if (this.selectable) {
+            const th = document.createElement('th');
+            th.className = 'select-cell';
+            th.style.width = '32px';
+            th.innerHTML = '<input type="checkbox" class="select-all" title="Select all (Ctrl+A)">';
+            th.onclick = (e) => e.stopPropagation();
+            th.querySelector('input').onchange = (e) => this.selectAll(e.target.checked);
+            headerRow.appendChild(th);
+        }
 
         this.columns.forEach((col, index) => {
             const th = document.createElement('th');
@@ -119,56 +201,314 @@ export class DataGrid {
         // Body
         const tbody = document.createElement('tbody');
 
-        displayData.forEach(item => {
-            const tr = document.createElement('tr');
-            tr.className = 'data-row'; // For hover effects
+        displayData.forEach((item, index) => tbody.appendChild(this.buildRow(item, index)));
 
-            // Context Menu Handler
-            tr.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                this.showContextMenu(e, item);
-            });
+        table.appendChild(tbody);
+        this.container.appendChild(table);
+        this.tbody = tbody;
 
-            // Double click to edit value
-            tr.addEventListener('dblclick', () => {
-                if (this.onEdit) this.onEdit(item);
+        if (this.onLoadMore) this.renderLoadMore();
+
+        if (this.selectable) {
+            this.selectionBar = document.createElement('div');
+            this.selectionBar.className = 'grid-selection-bar';
+            this.container.appendChild(this.selectionBar);
+            this.updateSelectionUI();
+        }
+    }
+
+    buildRow(item, index) {
+        const tr = document.createElement('tr');
+        tr.className = 'data-row'; // For hover effects
+        if (this.rowKey) tr.dataset.rowKey = this.rowKey(item);
+
+        if (this.selectable) {
+            const td = document.createElement('td');
+            td.className = 'select-cell';
+            td.innerHTML = '<input type="checkbox" class="row-select">';
+            td.querySelector('input').onclick = (e) => {
+                e.stopPropagation();
+                this.toggleRow(index, e.target.checked, e.shiftKey);
+            };
+            tr.appendChild(td);
+
+            // Shift-click extends the selection, Ctrl/Cmd-click toggles a row
+            tr.addEventListener('click', (e) => {
+                this.container.focus({ preventScroll: true });
+                if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    const key = this.rowKey(item);
+                    this.toggleRow(index, e.shiftKey ? true : !this.selection.has(key), e.shiftKey);
+                }
             });
+        }
 
-            this.columns.forEach(col => {
-                const td = document.createElement('td');
-                const val = item[col.key];
+        // Context Menu Handler
+        tr.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showContextMenu(e, item);
+        });
 
-                const wrapper = document.createElement('div');
-                wrapper.className = 'cell-content';
+        // Double click to edit value
+        tr.addEventListener('dblclick', () => {
+            if (this.onEdit) this.onEdit(item);
+        });
 
-                // Use custom render if provided, else default stringification
-                if (col.render) {
-                    wrapper.innerHTML = col.render(val, item);
-                } else {
-                    let displayVal = typeof val === 'object' ? JSON.stringify(val) : String(val);
-                    // Truncate for performance if very large
-                    if (displayVal.length > 500) {
-                        displayVal = displayVal.substring(0, 500) + '...';
-                    }
-                    wrapper.textContent = displayVal;
+        this.columns.forEach(col => {
+            const td = document.createElement('td');
+            const val = item[col.key];
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'cell-content';
+
+            // Use custom render if provided, else default stringification
+            if (col.render) {
+                wrapper.innerHTML = col.render(val, item);
+            } else {
+                let displayVal = typeof val === 'object' ? JSON.stringify(val) : String(val);
+                // Truncate for performance if very large
+                if (displayVal.length > 500) {
+                    displayVal = displayVal.substring(0, 500) + '...';
                 }
+                wrapper.textContent = displayVal;
+            }
+
+            td.appendChild(wrapper);
+
+            // Tooltip truncation
+            let titleVal = typeof val === 'object' ? JSON.stringify(val) : String(val);
+            if (titleVal.length > 1000) {
+                titleVal = titleVal.substring(0, 1000) + '... (truncated)';
+            }
+            td.title = titleVal;
+            tr.appendChild(td);
+        });
+
+        return tr;
+    }
+
+    renderLoadMore() {
+        const footer = document.createElement('div');
+        footer.className = 'grid-load-more';
+        const loaded = `${this.data.length}${this.totalCount !== null ? ` of ${this.totalCount}` : ''} loaded`;
+        footer.textContent = this.hasMore ? `${loaded} · Loading more...` : loaded;
+        this.container.appendChild(footer);
+        this.loadMoreFooter = footer;
+
+        if (!this.hasMore) return;
+        // Fires as soon as the footer is visible, so short pages keep loading until the view is full
+        this.loadMoreObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMore();
+        });
+        this.loadMoreObserver.observe(footer);
+    }
+
+    async loadMore() {
+        if (this.loadingMore || !this.hasMore || !this.onLoadMore) return;
+        this.loadingMore = true;
+        try {
+            const { items, hasMore } = await this.onLoadMore();
+            this.hasMore = hasMore;
+            this.append(items);
+        } catch (e) {
+            console.error('Failed to load more rows:', e);
+            this.hasMore = false;
+            if (this.loadMoreFooter) this.loadMoreFooter.textContent = `Failed to load more: ${e.message}`;
+        } finally {
+            this.loadingMore = false;
+        }
+    }
+
+    /**
+     * Add rows after the current ones (e.g. the next page of a cursor).
+     * Rows go straight into the existing tbody; a sorted or filtered view is re-rendered
+     * since the new rows may land anywhere in it.
+     */
+    append(items) {
+        const data = [...(this.data || []), ...items];
+        if (!this.tbody || !this.tbody.isConnected || this.sortCol || this.filterText) {
+            this.render(data);
+            return;
+        }
 
-                td.appendChild(wrapper);
+        this.data = data;
+        items.forEach(item => {
+            this.tbody.appendChild(this.buildRow(item, this.displayData.length));
+            this.displayData.push(item);
+        });
+
+        if (this.loadMoreObserver) {
+            this.loadMoreObserver.disconnect();
+            this.loadMoreObserver = null;
+        }
+        if (this.loadMoreFooter) this.loadMoreFooter.remove();
+        if (this.onLoadMore) this.renderLoadMore();
+
+        if (this.selectable) {
+            // Keep the selection bar below the footer
+            this.container.appendChild(this.selectionBar);
+            this.updateSelectionUI();
+        }
+    }
+
+    setFilter(text) {
+        this.filterText = text || '';
+        this.render(this.data);
+    }
+
+    /**
+     * Rows currently shown (after sorting and filtering).
+     */
+    getVisibleItems() {
+        return this.displayData;
+    }
+
+    // --- Selection ---
+
+    toggleRow(index, selected, extendRange = false) {
+        const from = extendRange && this.lastSelectedIndex !== null ? Math.min(this.lastSelectedIndex, index) : index;
+        const to = extendRange && this.lastSelectedIndex !== null ? Math.max(this.lastSelectedIndex, index) : index;
+
+        for (let i = from; i <= to; i++) {
+            const key = this.rowKey(this.displayData[i]);
+            if (selected) this.selection.add(key);
+            else this.selection.delete(key);
+        }
+        this.lastSelectedIndex = index;
+        this.updateSelectionUI();
+    }
 
-                // Tooltip truncation
-                let titleVal = typeof val === 'object' ? JSON.stringify(val) : String(val);
-                if (titleVal.length > 1000) {
-                    titleVal = titleVal.substring(0, 1000) + '... (truncated)';
+    selectAll(selected) {
+        if (selected) this.displayData.forEach(item => this.selection.add(this.rowKey(item)));
+        else this.selection.clear();
+        this.updateSelectionUI();
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.lastSelectedIndex = null;
+        this.updateSelectionUI();
+    }
+
+    getSelectedItems() {
+        return this.displayData.filter(item => this.selection.has(this.rowKey(item)));
+    }
+
+    updateSelectionUI() {
+        if (!this.selectable) return;
+
+        this.container.querySelectorAll('tr.data-row').forEach(tr => {
+            const selected = this.selection.has(tr.dataset.rowKey);
+            tr.classList.toggle('selected', selected);
+            const checkbox = tr.querySelector('.row-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+
+        // Rows hidden by the filter stay selected but are not acted on
+        const visibleSelected = this.getSelectedItems().length;
+        const selectAll = this.container.querySelector('.select-all');
+        if (selectAll) {
+            selectAll.checked = visibleSelected > 0 && visibleSelected === this.displayData.length;
+            selectAll.indeterminate = visibleSelected > 0 && visibleSelected < this.displayData.length;
+        }
+
+        this.renderSelectionBar();
+    }
+
+    renderSelectionBar() {
+        const bar = this.selectionBar;
+        if (!bar) return;
+
+        const count = this.getSelectedItems().length;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        if (count === 0) return;
+
+        const actions = [];
+        if (this.onBulkDelete) {
+            actions.push({
+                label: 'Delete',
+                danger: true,
+                action: async (items) => {
+                    if (!confirm(`Delete ${items.length} item${items.length === 1 ? '' : 's'}?`)) return;
+                    await this.onBulkDelete(items);
+                    this.clearSelection();
                 }
-                td.title = titleVal;
-                tr.appendChild(td);
             });
-
-            tbody.appendChild(tr);
+        }
+        actions.push({ label: 'Export', action: (items) => this.exportItems(items) });
+        actions.push({ label: 'Copy', action: (items) => navigator.clipboard.writeText(JSON.stringify(items, null, 2)) });
+        if (this.onBulkDecode) {
+            actions.push({ label: 'Decode', action: (items) => this.onBulkDecode(items) });
+        }
+        actions.push(...this.bulkActions);
+
+        bar.innerHTML = `<span class="selection-count">${count} selected</span>`;
+        actions.forEach(op => {
+            const btn = document.createElement('button');
+            btn.className = 'selection-btn' + (op.danger ? ' danger' : '');
+            btn.textContent = op.label;
+            btn.onclick = () => op.action(this.getSelectedItems());
+            bar.appendChild(btn);
         });
 
-        table.appendChild(tbody);
-        this.container.appendChild(table);
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'selection-btn';
+        clearBtn.textContent = 'Clear';
+        clearBtn.onclick = () => this.clearSelection();
+        bar.appendChild(clearBtn);
+    }
+
+    async exportItems(items) {
+        const text = JSON.stringify(items, null, 2);
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: 'export.json',
+                types: [{
+                    description: 'JSON File',
+                    accept: { 'application/json': ['.json'] }
+                }],
+            });
+            const writable = await handle.createWritable();
+            await writable.write(text);
+            await writable.close();
+        } catch (e) {
+            if (e.name !== 'AbortError') {
+                const blob = new Blob([text], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = 'export.json';
+                a.click();
+                URL.revokeObjectURL(url);
+            }
+        }
+    }
+
+    /**
+     * Insert or replace a single item (matched by rowKey) and highlight its row.
+     */
+    upsertItem(item) {
+        const key = this.rowKey(item);
+        const data = this.data ? [...this.data] : [];
+        const index = data.findIndex(d => this.rowKey(d) === key);
+        if (index >= 0) data[index] = item;
+        else data.push(item);
+        this.render(data);
+        this.highlightRow(key);
+    }
+
+    removeItem(item) {
+        const key = this.rowKey(item);
+        this.render((this.data || []).filter(d => this.rowKey(d) !== key));
+    }
+
+    highlightRow(key, scroll = false) {
+        const tr = [...this.container.querySelectorAll('tr.data-row')].find(row => row.dataset.rowKey === key);
+        if (!tr) return;
+        if (scroll) tr.scrollIntoView({ block: 'center' });
+        tr.classList.remove('row-flash');
+        void tr.offsetWidth; // Restart the animation
+        tr.classList.add('row-flash');
     }
 
     setupResizer(resizer, th) {
@@ -238,10 +578,13 @@ export class DataGrid {
 
         if (item) {
             ops.push({ label: 'Edit Value', action: () => this.onEdit(item) });
-            ops.push({ label: 'Properties...', action: () => this.showProperties(item) });
+            ops.push({ label: 'Properties...', action: () => this.onShowProperties ? this.onShowProperties(item) : this.showProperties(item) });
             if (this.onDuplicate) {
                 ops.push({ label: 'Duplicate', action: () => this.onDuplicate(item) });
             }
+            this.rowContextItems.forEach(extra => {
+                ops.push({ label: extra.label, action: () => extra.action(item), danger: extra.danger });
+            });
             ops.push({ type: 'separator' });
             ops.push({ label: 'Copy Value', action: () => navigator.clipboard.writeText(typeof item.value === 'object' ? JSON.stringify(item.value) : String(item.value)) });
             ops.push({ label: 'Export as File...', action: () => this.exportItemValue(item) });
@@ -314,9 +657,7 @@ export class DataGrid {
         `;
 
         // Calculate Size
-        const keySize = item.name ? item.name.length : (item.key ? item.key.length : 0);
-        const valSize = item.value ? String(item.value).length : 0;
-        const totalSize = keySize + valSize;
+        const totalSize = this.sizeOf(item);
         const sizeStr = totalSize > 1024 ? `${(totalSize / 1024).toFixed(2)} KB` : `${totalSize} Bytes`;
 
         // Content
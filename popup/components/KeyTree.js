@@ -0,0 +1,121 @@
+/**
+ * KeyTree Component
+ * Groups storage keys into a collapsible namespace tree by splitting them on a delimiter,
+ * e.g. "app:user:123:prefs" -> app / user / 123 / prefs.
+ */
+export class KeyTree {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.delimiter = options.delimiter || ':';
+        this.expanded = options.expanded || new Set(); // Group prefixes, shared across re-renders
+        this.onEdit = options.onEdit || (() => { }); // (item) => void
+        this.groupActions = options.groupActions || []; // [{ label, action(items, prefix), danger }]
+        this.renderValue = options.renderValue || ((val) => String(val));
+        // localStorage/sessionStorage quotas count UTF-16 code units, 2 bytes each
+        this.size = options.sizeOf || ((item) => (String(item.key).length + String(item.value).length) * 2);
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
+    build(items) {
+        const root = { name: '', prefix: '', children: new Map(), items: [], count: 0, size: 0 };
+        items.forEach(item => {
+            const parts = String(item.key).split(this.delimiter);
+            const size = this.size(item);
+            let node = root;
+            node.count++;
+            node.size += size;
+            // Every part but the last is a group
+            parts.slice(0, -1).forEach(part => {
+                const prefix = node === root ? part : `${node.prefix}${this.delimiter}${part}`;
+                if (!node.children.has(part)) {
+                    node.children.set(part, { name: part, prefix, children: new Map(), items: [], count: 0, size: 0 });
+                }
+                node = node.children.get(part);
+                node.count++;
+                node.size += size;
+            });
+            node.items.push({ ...item, leafName: parts[parts.length - 1] });
+        });
+        return root;
+    }
+
+    // All items under a group
+    collect(node) {
+        return [...node.items, ...[...node.children.values()].flatMap(child => this.collect(child))];
+    }
+
+    render(items) {
+        this.lastItems = items;
+        this.container.innerHTML = '';
+        if (!items || items.length === 0) {
+            this.container.innerHTML = '<div class="empty-state"><span>No items found</span></div>';
+            return;
+        }
+
+        const tree = document.createElement('div');
+        tree.className = 'key-tree';
+        this.renderChildren(this.build(items), tree, 0);
+        this.container.appendChild(tree);
+    }
+
+    renderChildren(node, parentEl, depth) {
+        const groups = [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name));
+        groups.forEach(group => {
+            const row = document.createElement('div');
+            row.className = 'key-tree-row key-tree-group';
+            row.style.paddingLeft = `${8 + depth * 16}px`;
+            const open = this.expanded.has(group.prefix);
+            row.innerHTML = `
+                <span class="key-tree-toggle">${open ? '▾' : '▸'}</span>
+                <span class="key-tree-name"></span>
+                <span class="key-tree-meta">${group.count} key${group.count === 1 ? '' : 's'} · ${this.formatSize(group.size)}</span>
+                <span class="key-tree-actions"></span>
+            `;
+            row.querySelector('.key-tree-name').textContent = group.name + this.delimiter;
+            row.title = group.prefix + this.delimiter;
+
+            const actionsEl = row.querySelector('.key-tree-actions');
+            this.groupActions.forEach(op => {
+                const btn = document.createElement('button');
+                btn.className = 'selection-btn' + (op.danger ? ' danger' : '');
+                btn.textContent = op.label;
+                btn.onclick = (e) => {
+                    e.stopPropagation();
+                    op.action(this.collect(group), group.prefix + this.delimiter);
+                };
+                actionsEl.appendChild(btn);
+            });
+
+            row.onclick = () => {
+                if (this.expanded.has(group.prefix)) this.expanded.delete(group.prefix);
+                else this.expanded.add(group.prefix);
+                const scrollTop = this.container.scrollTop;
+                this.render(this.lastItems);
+                this.container.scrollTop = scrollTop;
+            };
+            parentEl.appendChild(row);
+
+            if (open) this.renderChildren(group, parentEl, depth + 1);
+        });
+
+        node.items.sort((a, b) => a.leafName.localeCompare(b.leafName)).forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'key-tree-row key-tree-leaf';
+            row.style.paddingLeft = `${8 + depth * 16 + 16}px`;
+            row.innerHTML = `
+                <span class="key-tree-name"></span>
+                <span class="key-tree-value">${this.renderValue(item.value, item)}</span>
+                <span class="key-tree-meta">${this.formatSize(this.size(item))}</span>
+            `;
+            row.querySelector('.key-tree-name').textContent = item.leafName || '(empty)';
+            row.title = `${item.key}\nDouble-click to edit`;
+            row.ondblclick = () => this.onEdit(item);
+            parentEl.appendChild(row);
+        });
+    }
+}
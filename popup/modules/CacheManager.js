@@ -1,12 +1,14 @@
 export class CacheManager {
     constructor() {
         this.tabId = null;
+        this.frameId = 0; // Frame the inspector is injected into (0 = top frame)
     }
 
-    async connect(tabId) {
+    async connect(tabId, frameId = 0) {
         this.tabId = tabId;
+        this.frameId = frameId;
         await chrome.scripting.executeScript({
-            target: { tabId: this.tabId },
+            target: { tabId: this.tabId, frameIds: [this.frameId] },
             files: ['content/inspector.js']
         });
     }
@@ -14,7 +16,7 @@ export class CacheManager {
     async getCaches() {
         if (!this.tabId) return [];
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getCacheList' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getCacheList' }, { frameId: this.frameId }, response => {
                 if (chrome.runtime.lastError) {
                     console.warn('CacheManager: getCaches failed:', chrome.runtime.lastError.message);
                     resolve([]);
@@ -28,7 +30,7 @@ export class CacheManager {
     async getCacheItems(cacheName) {
         if (!this.tabId) return [];
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getCacheItems', cacheName }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getCacheItems', cacheName }, { frameId: this.frameId }, response => {
                 if (chrome.runtime.lastError) {
                     console.warn('CacheManager: getCacheItems failed:', chrome.runtime.lastError.message);
                     resolve([]);
@@ -42,7 +44,7 @@ export class CacheManager {
     async addItem(cacheName, url) {
         if (!this.tabId) return;
         return new Promise((resolve, reject) => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'addCacheItem', cacheName, url }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'addCacheItem', cacheName, url }, { frameId: this.frameId }, response => {
                 if (response && response.error) reject(new Error(response.error));
                 else resolve(response);
             });
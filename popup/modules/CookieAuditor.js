@@ -0,0 +1,173 @@
+/**
+ * Cookie Auditor Module
+ * Runs a security rule set over cookies and builds an exportable report.
+ */
+
+const DAY = 24 * 60 * 60;
+
+// Names and values that usually carry authentication state
+const SESSION_NAME = /sess|token|auth|jwt|login|remember|(^|[_\-.])sid([_\-.]|$)/i;
+const JWT_VALUE = /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/;
+// Double-submit CSRF tokens must stay readable by scripts
+const CSRF_NAME = /csrf|xsrf/i;
+
+export const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+export class CookieAuditor {
+    constructor() {
+        this.rules = [
+            {
+                id: 'samesite-none-insecure',
+                title: 'SameSite=None without Secure',
+                check: (c) => c.sameSite === 'no_restriction' && !c.secure
+                    ? { severity: 'high', message: 'SameSite=None cookies must be Secure; browsers reject or downgrade them.' }
+                    : null
+            },
+            {
+                id: 'host-prefix',
+                title: '__Host- prefix violation',
+                check: (c) => {
+                    if (!c.name.startsWith('__Host-')) return null;
+                    const problems = [];
+                    if (!c.secure) problems.push('not Secure');
+                    if (!c.hostOnly) problems.push(`has Domain=${c.domain}`);
+                    if (c.path !== '/') problems.push(`has Path=${c.path}`);
+                    return problems.length > 0
+                        ? { severity: 'high', message: `__Host- cookies must be Secure, host-only and on Path=/ (${problems.join(', ')}).` }
+                        : null;
+                }
+            },
+            {
+                id: 'secure-prefix',
+                title: '__Secure- prefix violation',
+                check: (c) => c.name.startsWith('__Secure-') && !c.secure
+                    ? { severity: 'high', message: '__Secure- cookies must have the Secure attribute.' }
+                    : null
+            },
+            {
+                id: 'session-not-httponly',
+                title: 'Session token readable by scripts',
+                check: (c) => this.isSessionLike(c) && !c.httpOnly && !CSRF_NAME.test(c.name)
+                    ? { severity: 'medium', message: 'Looks like a session or auth token but is not HttpOnly, so any XSS can steal it.' }
+                    : null
+            },
+            {
+                id: 'broad-domain',
+                title: 'Overly broad Domain',
+                check: (c, ctx) => {
+                    const domain = c.domain.replace(/^\./, '');
+                    if (c.hostOnly || domain !== ctx.site || ctx.hostname === ctx.site) return null;
+                    return {
+                        severity: this.isSessionLike(c) ? 'medium' : 'low',
+                        message: `Domain=${domain} shares this cookie with every subdomain of ${ctx.site}, not just ${ctx.hostname}.`
+                    };
+                }
+            },
+            {
+                id: 'broad-path',
+                title: 'Overly broad Path',
+                check: (c) => this.isSessionLike(c) && c.path === '/' && !c.hostOnly
+                    ? { severity: 'info', message: 'Token is sent to every path on every matching host; narrow Path or make it host-only if possible.' }
+                    : null
+            },
+            {
+                id: 'long-expiry',
+                title: 'Very long expiry',
+                check: (c, ctx) => {
+                    if (!c.expirationDate) return null;
+                    const days = Math.round((c.expirationDate - ctx.now) / DAY);
+                    if (this.isSessionLike(c) && days > 30) {
+                        return { severity: 'medium', message: `Auth token stays valid for ${days} days.` };
+                    }
+                    if (days > 365) {
+                        return { severity: 'low', message: `Expires in ${days} days; Chrome caps lifetimes at 400 days.` };
+                    }
+                    return null;
+                }
+            },
+            {
+                id: 'oversized-value',
+                title: 'Oversized cookie',
+                check: (c) => {
+                    const bytes = new TextEncoder().encode(c.name + c.value).length;
+                    if (bytes > 4096) return { severity: 'high', message: `${bytes} bytes exceeds the 4096-byte limit.` };
+                    if (bytes > 2048) return { severity: 'low', message: `${bytes} bytes is sent with every matching request.` };
+                    return null;
+                }
+            }
+        ];
+    }
+
+    isSessionLike(cookie) {
+        return SESSION_NAME.test(cookie.name) || JWT_VALUE.test(cookie.value);
+    }
+
+    /**
+     * @param {Array<object>} cookies
+     * @param {{ url: string, site: string }} context
+     */
+    audit(cookies, context) {
+        const ctx = {
+            hostname: new URL(context.url).hostname,
+            site: context.site,
+            now: Date.now() / 1000
+        };
+
+        const findings = [];
+        cookies.forEach(cookie => {
+            this.rules.forEach(rule => {
+                const result = rule.check(cookie, ctx);
+                if (result) {
+                    findings.push({ rule: rule.id, title: rule.title, ...result, cookie });
+                }
+            });
+        });
+
+        findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+        const summary = {};
+        SEVERITIES.forEach(sev => summary[sev] = findings.filter(f => f.severity === sev).length);
+
+        return {
+            url: context.url,
+            site: context.site,
+            generatedAt: new Date().toISOString(),
+            cookieCount: cookies.length,
+            summary,
+            findings
+        };
+    }
+
+    toJSON(report) {
+        return JSON.stringify({
+            ...report,
+            findings: report.findings.map(f => ({
+                rule: f.rule,
+                severity: f.severity,
+                title: f.title,
+                message: f.message,
+                cookie: { name: f.cookie.name, domain: f.cookie.domain, path: f.cookie.path }
+            }))
+        }, null, 2);
+    }
+
+    toMarkdown(report) {
+        const cell = (str) => String(str).replace(/\|/g, '\\|');
+        let md = `# Cookie Security Audit: ${report.site}\n\n`;
+        md += `- URL: ${report.url}\n`;
+        md += `- Generated: ${report.generatedAt}\n`;
+        md += `- Cookies checked: ${report.cookieCount}\n`;
+        md += `- Findings: ${SEVERITIES.map(sev => `${report.summary[sev]} ${sev}`).join(', ')}\n\n`;
+
+        if (report.findings.length === 0) {
+            return md + 'No issues found.\n';
+        }
+
+        md += '| Severity | Rule | Cookie | Details |\n';
+        md += '| --- | --- | --- | --- |\n';
+        report.findings.forEach(f => {
+            md += `| ${f.severity} | ${cell(f.title)} | \`${cell(f.cookie.name)}\` (${cell(f.cookie.domain)}${cell(f.cookie.path)}) | ${cell(f.message)} |\n`;
+        });
+        return md;
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Cookie Importer Module
+ * Parses cookie exports (Netscape cookies.txt, EditThisCookie, Cookie-Editor, HAR)
+ * into chrome.cookies-shaped objects and plans how they would be written.
+ */
+export class CookieImporter {
+    /**
+     * Detect the format of an export and parse it.
+     * @param {string} text
+     * @returns {{ format: string, cookies: Array<object> }}
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) throw new Error('Nothing to import');
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let json;
+            try {
+                json = JSON.parse(trimmed);
+            } catch (e) {
+                throw new Error(`Invalid JSON: ${e.message}`);
+            }
+
+            if (json && json.log && Array.isArray(json.log.entries)) {
+                return { format: 'HAR', cookies: this.parseHar(json) };
+            }
+            if (Array.isArray(json)) {
+                // EditThisCookie tags every entry with a numeric id, Cookie-Editor does not
+                const format = json.some(c => c && c.id !== undefined) ? 'EditThisCookie' : 'Cookie-Editor';
+                return { format, cookies: json.map(c => this.normalize(c)) };
+            }
+            throw new Error('Unrecognized JSON structure (expected a cookie array or a HAR file)');
+        }
+
+        return { format: 'Netscape', cookies: this.parseNetscape(trimmed) };
+    }
+
+    parseNetscape(text) {
+        const cookies = [];
+        text.split(/\r?\n/).forEach(rawLine => {
+            let line = rawLine;
+            let httpOnly = false;
+
+            // curl marks HttpOnly cookies with a prefix on the domain field
+            if (line.startsWith('#HttpOnly_')) {
+                httpOnly = true;
+                line = line.substring('#HttpOnly_'.length);
+            } else if (line.startsWith('#') || !line.trim()) {
+                return;
+            }
+
+            const fields = line.split('\t');
+            if (fields.length < 6) return;
+
+            const [domain, includeSubdomains, path, secure, expiry, name, ...rest] = fields;
+            const expiration = parseInt(expiry, 10);
+            const subdomains = includeSubdomains.toUpperCase() === 'TRUE';
+
+            cookies.push(this.normalize({
+                name,
+                value: rest.join('\t'),
+                domain: subdomains && !domain.startsWith('.') ? `.${domain}` : domain,
+                hostOnly: !subdomains,
+                path,
+                secure: secure.toUpperCase() === 'TRUE',
+                httpOnly,
+                expirationDate: expiration > 0 ? expiration : undefined
+            }));
+        });
+        return cookies;
+    }
+
+    parseHar(har) {
+        const cookies = [];
+        har.log.entries.forEach(entry => {
+            let url;
+            try {
+                url = new URL(entry.request.url);
+            } catch (e) {
+                return;
+            }
+
+            // Cookies the browser sent: only name and value are recorded, so domain and path are a guess
+            (entry.request.cookies || []).forEach(c => {
+                cookies.push({
+                    ...this.normalize({
+                        name: c.name,
+                        value: c.value,
+                        domain: url.hostname,
+                        hostOnly: true,
+                        path: '/',
+                        secure: url.protocol === 'https:'
+                    }),
+                    inferred: true
+                });
+            });
+
+            // Cookies the server set carry their attributes
+            ((entry.response && entry.response.cookies) || []).forEach(c => {
+                const expires = c.expires ? new Date(c.expires).getTime() / 1000 : undefined;
+                cookies.push(this.normalize({
+                    name: c.name,
+                    value: c.value,
+                    domain: c.domain || url.hostname,
+                    hostOnly: !c.domain,
+                    path: c.path || this.defaultPath(url.pathname),
+                    secure: !!c.secure,
+                    httpOnly: !!c.httpOnly,
+                    sameSite: c.sameSite,
+                    expirationDate: expires && !isNaN(expires) ? expires : undefined
+                }));
+            });
+        });
+        return cookies;
+    }
+
+    /**
+     * RFC 6265 default-path: the directory of the request path.
+     */
+    defaultPath(pathname) {
+        if (!pathname || !pathname.startsWith('/')) return '/';
+        const lastSlash = pathname.lastIndexOf('/');
+        return lastSlash <= 0 ? '/' : pathname.substring(0, lastSlash);
+    }
+
+    normalizeSameSite(val) {
+        const s = String(val || '').toLowerCase();
+        if (s === 'none' || s === 'no_restriction') return 'no_restriction';
+        if (s === 'lax') return 'lax';
+        if (s === 'strict') return 'strict';
+        return 'unspecified';
+    }
+
+    normalize(c) {
+        const domain = String(c.domain || '');
+        const hostOnly = c.hostOnly !== undefined ? !!c.hostOnly : !domain.startsWith('.');
+        const session = c.session === true || !c.expirationDate;
+
+        const cookie = {
+            name: String(c.name || ''),
+            value: c.value === undefined || c.value === null ? '' : String(c.value),
+            domain: hostOnly ? domain.replace(/^\./, '') : domain,
+            hostOnly,
+            path: c.path || '/',
+            secure: !!c.secure,
+            httpOnly: !!c.httpOnly,
+            sameSite: this.normalizeSameSite(c.sameSite)
+        };
+        if (!session) cookie.expirationDate = Number(c.expirationDate);
+        // JSON exports of partitioned (CHIPS) cookies name their partition
+        if (c.partitionKey && c.partitionKey.topLevelSite) cookie.partitionKey = { topLevelSite: String(c.partitionKey.topLevelSite) };
+        return cookie;
+    }
+
+    /**
+     * Plan note for a HAR request cookie, whose host-only scope and "/" path are assumed.
+     */
+    inferredNote(cookie, existing) {
+        const note = `Domain and path guessed (host-only ${cookie.domain}, /): the HAR request only records name and value`;
+        const other = existing.find(c => c.name === cookie.name && (c.domain !== cookie.domain || c.path !== cookie.path || !c.hostOnly));
+        return other ? `${note}; "${cookie.name}" already exists on ${other.domain}${other.path} and would be duplicated` : note;
+    }
+
+    /**
+     * Decide what importing each cookie would do against the current jar.
+     * @param {Array<object>} cookies Parsed cookies
+     * @param {Array<object>} existing Cookies currently set for the site
+     * @param {string} hostname Hostname of the inspected page
+     * @returns {Array<{ action: 'create'|'overwrite'|'skip', reason: string, cookie: object }>}
+     */
+    plan(cookies, existing, hostname) {
+        // Host-only and domain cookies of the same name coexist, and so do copies in different partitions
+        const keyOf = c => `${c.name}|${c.hostOnly ? '' : '.'}${c.domain.replace(/^\./, '')}|${c.path}|${c.partitionKey ? c.partitionKey.topLevelSite : ''}`;
+        const existingMap = new Map(existing.map(c => [keyOf(c), c]));
+        const now = Date.now() / 1000;
+
+        // Later entries win (a HAR file can set the same cookie many times)
+        const lastIndex = new Map();
+        cookies.forEach((c, i) => lastIndex.set(keyOf(c), i));
+
+        return cookies.map((cookie, i) => {
+            const key = keyOf(cookie);
+            const skip = reason => ({ action: 'skip', reason, cookie });
+            const bareDomain = cookie.domain.replace(/^\./, '');
+
+            if (!cookie.name) return skip('Missing cookie name');
+            if (!bareDomain) return skip('Missing domain');
+            if (lastIndex.get(key) !== i) return skip('Superseded by a later entry');
+            if (cookie.expirationDate && cookie.expirationDate <= now) return skip('Expired');
+            if (hostname !== bareDomain && !hostname.endsWith(`.${bareDomain}`) && !bareDomain.endsWith(`.${hostname}`)) {
+                return skip(`Domain does not match ${hostname}`);
+            }
+            if (cookie.sameSite === 'no_restriction' && !cookie.secure) return skip('SameSite=None requires Secure');
+
+            const current = existingMap.get(key);
+            const guess = cookie.inferred ? this.inferredNote(cookie, existing) : '';
+            if (!current) return { action: 'create', reason: guess, cookie };
+            if (current.value === cookie.value) return skip('Identical cookie already exists');
+            return { action: 'overwrite', reason: [`Replaces value "${current.value.substring(0, 40)}"`, guess].join('. '), cookie };
+        });
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Cookie Limits Module
+ * Measures cookies against Chrome's storage limits and common server header limits.
+ */
+
+// net/cookies/cookie_monster.h: a registrable domain holds 180 cookies, then Chrome purges down to 150
+export const MAX_COOKIE_BYTES = 4096;
+export const MAX_COOKIES_PER_DOMAIN = 180;
+export const PURGE_TARGET = 150;
+// Default request header limit of Apache (8190) and nginx (8 KB buffers)
+export const SERVER_HEADER_LIMIT = 8190;
+
+// Share of a limit at which a value is flagged as close to it
+const WARN_RATIO = 0.8;
+
+export class CookieLimits {
+    constructor(simulator) {
+        this.simulator = simulator;
+    }
+
+    bytes(cookie) {
+        return new TextEncoder().encode(cookie.name + cookie.value).length;
+    }
+
+    level(value, limit) {
+        if (value > limit) return 'over';
+        if (value >= limit * WARN_RATIO) return 'near';
+        return 'ok';
+    }
+
+    /**
+     * Order in which Chrome evicts cookies once the domain is over its limit:
+     * non-Secure before Secure, then least recently used. chrome.cookies does not
+     * expose access times, so ties keep the given order.
+     */
+    evictionOrder(cookies) {
+        return [...cookies].sort((a, b) => Number(a.secure) - Number(b.secure));
+    }
+
+    /**
+     * @param {Array<object>} cookies Unpartitioned cookies of the site
+     * @param {{ url: string, site: string }} context
+     */
+    report(cookies, context) {
+        const sized = cookies.map(cookie => {
+            const bytes = this.bytes(cookie);
+            return { cookie, bytes, level: this.level(bytes, MAX_COOKIE_BYTES) };
+        }).sort((a, b) => b.bytes - a.bytes);
+
+        const count = cookies.length;
+        const countLevel = this.level(count, MAX_COOKIES_PER_DOMAIN);
+        // Only name the next victims when the jar is close enough for a purge to matter
+        const evictionCandidates = countLevel === 'ok'
+            ? []
+            : this.evictionOrder(cookies).slice(0, Math.max(1, count - PURGE_TARGET));
+
+        const request = this.simulator.simulate(cookies, { url: context.url, context: 'same-site', type: 'navigation' });
+
+        return {
+            site: context.site,
+            url: context.url,
+            cookies: sized,
+            count,
+            countLevel,
+            evictionCandidates,
+            header: {
+                bytes: request.headerBytes,
+                sent: request.included.length,
+                level: this.level(request.headerBytes, SERVER_HEADER_LIMIT)
+            }
+        };
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Cookie Locks Manager
+ * Lock rules pin a cookie to a value; background.js rewrites it whenever the page changes or deletes it.
+ * Rules are stored per site in chrome.storage.local and shared between the popup and the service worker.
+ * Only the popup writes the rules; the worker's enforcement counters live under their own key,
+ * so the two contexts never rewrite the same object.
+ */
+export class CookieLocksManager {
+    constructor() {
+        this.storageKey = 'cookieLocks';
+        this.statsKey = 'cookieLockStats'; // rule id -> { enforced, lastEnforced }, written by background.js
+        this.cache = null;
+        this.queue = Promise.resolve();
+
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes[this.storageKey]) this.cache = null;
+        });
+    }
+
+    async _load(fresh = false) {
+        if (!this.cache || fresh) {
+            const stored = await chrome.storage.local.get(this.storageKey);
+            this.cache = stored[this.storageKey] || {};
+        }
+        return this.cache;
+    }
+
+    async _save(all) {
+        this.cache = all;
+        await chrome.storage.local.set({ [this.storageKey]: all });
+    }
+
+    /**
+     * Read-modify-write of the rules, one at a time within this context. Reads bypass the cache,
+     * since another popup may have written since.
+     * @param {(all: object) => boolean} mutate Changes `all` in place; returns false when nothing changed
+     */
+    _update(mutate) {
+        return this._enqueue(async () => {
+            const all = await this._load(true);
+            if (mutate(all) !== false) await this._save({ ...all });
+        });
+    }
+
+    _enqueue(task) {
+        const run = this.queue.then(task);
+        // A failed update must not wedge the ones queued behind it
+        this.queue = run.catch(() => { });
+        return run;
+    }
+
+    _matches(rule, cookie) {
+        const partition = c => (c.partitionKey ? c.partitionKey.topLevelSite : '');
+        return rule.cookie.name === cookie.name &&
+            rule.cookie.domain === cookie.domain &&
+            rule.cookie.path === cookie.path &&
+            (!rule.cookie.storeId || !cookie.storeId || rule.cookie.storeId === cookie.storeId) &&
+            partition(rule.cookie) === partition(cookie);
+    }
+
+    /**
+     * Rules for a site, with their enforcement counters merged in.
+     */
+    async list(site) {
+        const all = await this._load();
+        const stored = await chrome.storage.local.get(this.statsKey);
+        const stats = stored[this.statsKey] || {};
+        return (all[site] || []).map(rule => ({ ...rule, enforced: 0, lastEnforced: null, ...stats[rule.id] }));
+    }
+
+    async lock(site, cookie) {
+        await this._update(all => {
+            const rules = (all[site] || []).filter(r => !this._matches(r, cookie));
+            rules.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                createdAt: Date.now(),
+                cookie: {
+                    name: cookie.name,
+                    value: cookie.value,
+                    domain: cookie.domain,
+                    hostOnly: cookie.hostOnly,
+                    path: cookie.path,
+                    secure: cookie.secure,
+                    httpOnly: cookie.httpOnly,
+                    sameSite: cookie.sameSite,
+                    expirationDate: cookie.expirationDate,
+                    storeId: cookie.storeId,
+                    partitionKey: cookie.partitionKey
+                }
+            });
+            all[site] = rules;
+        });
+    }
+
+    async unlock(site, id) {
+        await this._update(all => {
+            const rules = (all[site] || []).filter(r => r.id !== id);
+            if (rules.length > 0) all[site] = rules;
+            else delete all[site];
+        });
+    }
+
+    /**
+     * Drop every rule (across all sites) covering a cookie, e.g. before deleting it on purpose.
+     */
+    async release(cookie) {
+        await this._update(all => {
+            let changed = false;
+            Object.keys(all).forEach(site => {
+                const rules = all[site].filter(r => !this._matches(r, cookie));
+                if (rules.length === all[site].length) return;
+                changed = true;
+                if (rules.length > 0) all[site] = rules;
+                else delete all[site];
+            });
+            return changed;
+        });
+    }
+
+    /**
+     * Find the lock rule (across all sites) covering a cookie.
+     * @param {boolean} fresh Skip the cache, for decisions that must see the latest rules
+     */
+    async find(cookie, fresh = false) {
+        const all = await this._load(fresh);
+        for (const rules of Object.values(all)) {
+            const rule = rules.find(r => this._matches(r, cookie));
+            if (rule) return rule;
+        }
+        return null;
+    }
+
+    /**
+     * Keep a lock in step with an intentional edit (value, expiry, flags), so the edit is not reverted.
+     * Must run before the cookie is written.
+     */
+    async syncValue(cookie) {
+        const fields = ['value', 'hostOnly', 'secure', 'httpOnly', 'sameSite', 'expirationDate'];
+        await this._update(all => {
+            let changed = false;
+            Object.values(all).forEach(rules => rules.forEach(rule => {
+                if (!this._matches(rule, cookie)) return;
+                fields.forEach(field => {
+                    if (cookie[field] !== undefined && rule.cookie[field] !== cookie[field]) {
+                        rule.cookie[field] = cookie[field];
+                        changed = true;
+                    }
+                });
+                // Written without expirationDate, the cookie became a session cookie
+                if (cookie.expirationDate === undefined && rule.cookie.expirationDate !== undefined) {
+                    delete rule.cookie.expirationDate;
+                    changed = true;
+                }
+            }));
+            return changed;
+        });
+    }
+
+    /**
+     * Called by background.js only. Counters of rules that no longer exist are dropped here,
+     * keeping the stats key single-writer.
+     */
+    async recordEnforcement(id) {
+        await this._enqueue(async () => {
+            const all = await this._load(true);
+            const live = new Set(Object.values(all).flatMap(rules => rules.map(rule => rule.id)));
+            const stored = await chrome.storage.local.get(this.statsKey);
+            const stats = {};
+            Object.entries(stored[this.statsKey] || {}).forEach(([ruleId, entry]) => {
+                if (live.has(ruleId)) stats[ruleId] = entry;
+            });
+            const entry = stats[id] || { enforced: 0, lastEnforced: null };
+            stats[id] = { enforced: entry.enforced + 1, lastEnforced: Date.now() };
+            await chrome.storage.local.set({ [this.statsKey]: stats });
+        });
+    }
+}
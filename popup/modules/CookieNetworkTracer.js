@@ -0,0 +1,208 @@
+/**
+ * Cookie Network Tracer
+ * Listens to CDP Network events through DebuggerManager and records, per cookie,
+ * which responses set it, which requests sent it and when Chrome blocked it.
+ */
+
+const MAX_EVENTS = 5000;
+// Requests kept for resolving URLs. Past the cap the map is trimmed to TRIM_TO,
+// oldest first (Map keeps insertion order), so trimming does not run on every request.
+const MAX_REQUESTS = 2000;
+const TRIM_TO = 1500;
+
+// Protocol CookieBlockedReason / SetCookieBlockedReason values, in plain words
+const BLOCKED_REASONS = {
+    SecureOnly: 'Secure cookie on an insecure request',
+    NotOnPath: 'Path does not match',
+    DomainMismatch: 'Domain does not match',
+    SameSiteStrict: 'SameSite=Strict on a cross-site request',
+    SameSiteLax: 'SameSite=Lax on a cross-site request',
+    SameSiteUnspecifiedTreatedAsLax: 'No SameSite attribute, treated as Lax on a cross-site request',
+    SameSiteNoneInsecure: 'SameSite=None without Secure',
+    UserPreferences: 'Blocked by the user\'s cookie settings',
+    ThirdPartyPhaseout: 'Third-party cookie phase-out',
+    ThirdPartyBlockedInFirstPartySet: 'Third-party cookie blocked in a Related Website Set',
+    SchemefulSameSiteStrict: 'SameSite=Strict on a schemefully cross-site request',
+    SchemefulSameSiteLax: 'SameSite=Lax on a schemefully cross-site request',
+    SchemefulSameSiteUnspecifiedTreatedAsLax: 'No SameSite attribute, schemefully cross-site',
+    NameValuePairExceedsMaxSize: 'Name and value exceed 4096 bytes',
+    SyntaxError: 'Malformed Set-Cookie line',
+    SchemeNotSupported: 'URL scheme does not support cookies',
+    OverwriteSecure: 'Would overwrite a Secure cookie from an insecure origin',
+    InvalidDomain: 'Domain attribute does not cover the response URL',
+    InvalidPrefix: '__Secure- / __Host- prefix requirements not met',
+    DisallowedCharacter: 'Contains a disallowed character',
+    NoCookieContent: 'Empty name and value',
+    UnknownError: 'Unknown error'
+};
+
+export class CookieNetworkTracer {
+    constructor(debuggerManager) {
+        this.debuggerManager = debuggerManager;
+        this.events = [];
+        this.requests = new Map(); // requestId -> { url, method, type, frameUrl }
+        this.unsubscribe = null;
+        this.onChange = null; // () => void, called after new events are recorded
+    }
+
+    describeReason(reason) {
+        return BLOCKED_REASONS[reason] || reason;
+    }
+
+    async start() {
+        if (!this.unsubscribe) {
+            this.unsubscribe = this.debuggerManager.onEvent((method, params) => this._handle(method, params));
+        }
+        await this.debuggerManager.enableNetwork();
+    }
+
+    async stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        await this.debuggerManager.disableNetwork();
+    }
+
+    get recording() {
+        return !!this.unsubscribe;
+    }
+
+    clear() {
+        this.events = [];
+        this.requests.clear();
+    }
+
+    _push(event) {
+        this.events.push({ timestamp: Date.now(), ...event });
+        if (this.events.length > MAX_EVENTS) this.events.shift();
+    }
+
+    _trimRequests() {
+        // Requests that finished without cookie events are never needed again
+        const referenced = new Set(this.events.map(event => event.requestId));
+        for (const requestId of this.requests.keys()) {
+            if (this.requests.size <= TRIM_TO) break;
+            if (!referenced.has(requestId)) this.requests.delete(requestId);
+        }
+        // Still over: drop the oldest, even if an old event loses its URL
+        for (const requestId of this.requests.keys()) {
+            if (this.requests.size <= TRIM_TO) break;
+            this.requests.delete(requestId);
+        }
+    }
+
+    _normalizeDomain(domain) {
+        return (domain || '').replace(/^\./, '');
+    }
+
+    // name, Domain and Path from a raw Set-Cookie line
+    _parseSetCookie(line, requestUrl) {
+        const [pair, ...attributes] = line.split(';');
+        const eq = pair.indexOf('=');
+        const parsed = { name: eq >= 0 ? pair.substring(0, eq).trim() : '', domain: '', path: '' };
+        attributes.forEach(attr => {
+            const [key, ...rest] = attr.split('=');
+            const value = rest.join('=').trim();
+            if (key.trim().toLowerCase() === 'domain') parsed.domain = value;
+            if (key.trim().toLowerCase() === 'path') parsed.path = value;
+        });
+        if (!parsed.domain && requestUrl) {
+            try {
+                parsed.domain = new URL(requestUrl).hostname;
+            } catch (e) { }
+        }
+        return parsed;
+    }
+
+    _handle(method, params) {
+        if (method === 'Network.requestWillBeSent') {
+            this.requests.set(params.requestId, {
+                url: params.request.url,
+                method: params.request.method,
+                type: params.type,
+                frameUrl: params.documentURL
+            });
+            if (this.requests.size > MAX_REQUESTS) this._trimRequests();
+            return;
+        }
+
+        if (method === 'Network.requestWillBeSentExtraInfo') {
+            (params.associatedCookies || []).forEach(({ cookie, blockedReasons, exemptionReason }) => {
+                const blocked = blockedReasons && blockedReasons.length > 0;
+                this._push({
+                    kind: blocked ? 'send-blocked' : 'sent',
+                    requestId: params.requestId,
+                    name: cookie.name,
+                    domain: this._normalizeDomain(cookie.domain),
+                    path: cookie.path,
+                    value: cookie.value,
+                    reasons: blocked ? blockedReasons : [],
+                    exemption: exemptionReason || null
+                });
+            });
+        } else if (method === 'Network.responseReceivedExtraInfo') {
+            const request = this.requests.get(params.requestId);
+            const blockedLines = new Set();
+
+            (params.blockedCookies || []).forEach(({ cookieLine, cookie, blockedReasons }) => {
+                blockedLines.add(cookieLine);
+                const parsed = cookie
+                    ? { name: cookie.name, domain: cookie.domain, path: cookie.path }
+                    : this._parseSetCookie(cookieLine, request && request.url);
+                this._push({
+                    kind: 'set-blocked',
+                    requestId: params.requestId,
+                    name: parsed.name,
+                    domain: this._normalizeDomain(parsed.domain),
+                    path: parsed.path,
+                    line: cookieLine,
+                    reasons: blockedReasons
+                });
+            });
+
+            // Header names are case-insensitive; multiple Set-Cookie headers arrive joined by newlines
+            const headerName = Object.keys(params.headers || {}).find(h => h.toLowerCase() === 'set-cookie');
+            const lines = headerName ? params.headers[headerName].split('\n').filter(Boolean) : [];
+            lines.filter(line => !blockedLines.has(line)).forEach(line => {
+                const parsed = this._parseSetCookie(line, request && request.url);
+                this._push({
+                    kind: 'set',
+                    requestId: params.requestId,
+                    name: parsed.name,
+                    domain: this._normalizeDomain(parsed.domain),
+                    path: parsed.path,
+                    line,
+                    reasons: []
+                });
+            });
+        } else {
+            return;
+        }
+
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Events grouped per cookie (name + domain), oldest event first.
+     * @returns {Array<{ key: string, name: string, domain: string, set: number, sent: number, blocked: number, lastSeen: number, events: Array<object> }>}
+     */
+    getTimelines() {
+        const groups = new Map();
+        this.events.forEach(event => {
+            const key = `${event.name}|${event.domain}`;
+            if (!groups.has(key)) {
+                groups.set(key, { key, name: event.name, domain: event.domain, set: 0, sent: 0, blocked: 0, lastSeen: 0, events: [] });
+            }
+            const group = groups.get(key);
+            // ExtraInfo events can arrive before requestWillBeSent, so the request is resolved late
+            const request = this.requests.get(event.requestId) || {};
+            group.events.push({ ...event, url: request.url || '', method: request.method || '', type: request.type || '' });
+            group.lastSeen = event.timestamp;
+            if (event.kind === 'set') group.set++;
+            else if (event.kind === 'sent') group.sent++;
+            else group.blocked++;
+        });
+        return [...groups.values()];
+    }
+}
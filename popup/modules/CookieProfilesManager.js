@@ -0,0 +1,117 @@
+/**
+ * Cookie Profiles Manager
+ * Saves a site's full cookie jar under a name in chrome.storage.local and restores it later.
+ */
+export class CookieProfilesManager {
+    constructor(cookiesManager, cookieLocksManager) {
+        this.cookiesManager = cookiesManager;
+        this.cookieLocksManager = cookieLocksManager;
+        this.storageKey = 'cookieProfiles';
+    }
+
+    async _load() {
+        const stored = await chrome.storage.local.get(this.storageKey);
+        return stored[this.storageKey] || {};
+    }
+
+    async _save(all) {
+        await chrome.storage.local.set({ [this.storageKey]: all });
+    }
+
+    async list(site) {
+        const all = await this._load();
+        const profiles = all[site] || {};
+        return Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async save(site, name, cookies) {
+        const all = await this._load();
+        if (!all[site]) all[site] = {};
+        all[site][name] = {
+            name,
+            site,
+            savedAt: Date.now(),
+            // Keep every attribute chrome.cookies.set needs to recreate the cookie as it was
+            cookies: cookies.map(c => ({
+                name: c.name,
+                value: c.value,
+                domain: c.domain,
+                hostOnly: c.hostOnly,
+                path: c.path,
+                secure: c.secure,
+                httpOnly: c.httpOnly,
+                sameSite: c.sameSite,
+                session: c.session,
+                expirationDate: c.expirationDate,
+                storeId: c.storeId,
+                partitionKey: c.partitionKey
+            }))
+        };
+        await this._save(all);
+        return all[site][name];
+    }
+
+    async rename(site, oldName, newName) {
+        const all = await this._load();
+        const profiles = all[site] || {};
+        if (!profiles[oldName]) throw new Error(`Profile "${oldName}" not found`);
+        if (profiles[newName]) throw new Error(`Profile "${newName}" already exists`);
+
+        profiles[newName] = { ...profiles[oldName], name: newName };
+        delete profiles[oldName];
+        await this._save(all);
+    }
+
+    async delete(site, name) {
+        const all = await this._load();
+        if (!all[site]) return;
+        delete all[site][name];
+        if (Object.keys(all[site]).length === 0) delete all[site];
+        await this._save(all);
+    }
+
+    /**
+     * Wipe the current jar and recreate every cookie of the profile.
+     * Locked cookies are not deleted (the lock would recreate them); the profile's value still replaces theirs.
+     * @returns {Promise<{ restored: number, failed: Array<{ name: string, error: string }>, keptLocked: string[] }>}
+     */
+    async restore(site, name) {
+        const all = await this._load();
+        const profile = all[site] && all[site][name];
+        if (!profile) throw new Error(`Profile "${name}" not found`);
+
+        const current = await this.cookiesManager.getJar();
+        const locked = [];
+        for (const cookie of current) {
+            if (await this.cookieLocksManager.find(cookie)) locked.push(cookie);
+            else await this.cookiesManager.delete(cookie);
+        }
+
+        const now = Date.now() / 1000;
+        const failed = [];
+        let restored = 0;
+
+        for (const cookie of profile.cookies) {
+            // Cookies that expired since the snapshot would be deleted immediately by Chrome
+            if (cookie.expirationDate && cookie.expirationDate < now) {
+                failed.push({ name: cookie.name, error: 'Expired since the profile was saved' });
+                continue;
+            }
+            try {
+                // Restore into the store being viewed, not the one the snapshot came from
+                const target = { ...cookie, storeId: this.cookiesManager.storeId || cookie.storeId };
+                await this.cookieLocksManager.syncValue(target);
+                const result = await this.cookiesManager.set(target);
+                if (result) restored++;
+                else failed.push({ name: cookie.name, error: 'Rejected by Chrome' });
+            } catch (e) {
+                failed.push({ name: cookie.name, error: e.message });
+            }
+        }
+
+        const partition = c => (c.partitionKey ? c.partitionKey.topLevelSite : '');
+        const same = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path && partition(a) === partition(b);
+        const keptLocked = locked.filter(c => !profile.cookies.some(p => same(p, c))).map(c => c.name);
+        return { restored, failed, keptLocked };
+    }
+}
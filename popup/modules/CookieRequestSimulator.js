@@ -0,0 +1,134 @@
+/**
+ * Cookie Request Simulator
+ * Predicts which cookies Chrome attaches to a request, following RFC 6265bis
+ * domain/path matching plus Chrome's Secure, SameSite (Lax by default) and CHIPS rules.
+ */
+
+// Methods that let Lax cookies ride along on cross-site top-level navigations
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
+export class CookieRequestSimulator {
+    constructor(cookiesManager) {
+        this.cookiesManager = cookiesManager;
+    }
+
+    /**
+     * Schemeful site, e.g. 'https://example.co.uk' for 'https://www.example.co.uk:8443/x'.
+     */
+    toSite(urlOrSite) {
+        return this.cookiesManager.toTopLevelSite(urlOrSite);
+    }
+
+    domainMatches(cookie, hostname) {
+        const domain = cookie.domain.replace(/^\./, '');
+        if (cookie.hostOnly) return hostname === domain;
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+
+    /**
+     * RFC 6265 path-match.
+     */
+    pathMatches(cookiePath, requestPath) {
+        if (requestPath === cookiePath) return true;
+        if (!requestPath.startsWith(cookiePath)) return false;
+        return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+    }
+
+    /**
+     * @param {Array<object>} cookies Candidate cookies (partitioned and unpartitioned)
+     * @param {object} request
+     * @param {string} request.url Request URL
+     * @param {string} [request.method] HTTP method, defaults to GET
+     * @param {string} [request.topLevelSite] Site in the address bar; ignored for top-level navigations
+     * @param {'same-site'|'cross-site'} request.context Relation between the initiator and the request URL
+     * @param {'navigation'|'subresource'} request.type Top-level navigation or subresource/iframe request
+     * @returns {{ url: string, topLevelSite: string, included: Array<{ cookie: object, note: string }>, excluded: Array<{ cookie: object, reason: string }>, header: string, headerBytes: number }}
+     */
+    simulate(cookies, request) {
+        const url = new URL(request.url);
+        const method = (request.method || 'GET').toUpperCase();
+        const crossSite = request.context === 'cross-site';
+        const navigation = request.type === 'navigation';
+        const topLevelSite = navigation || !request.topLevelSite ? this.toSite(url.href) : this.toSite(request.topLevelSite);
+        // A subresource is embedded cross-site when its site differs from the top-level one
+        const crossSiteAncestor = !navigation && (crossSite || topLevelSite !== this.toSite(url.href));
+        const secureContext = url.protocol === 'https:' || url.protocol === 'wss:' ||
+            url.hostname === 'localhost' || url.hostname.endsWith('.localhost');
+        const now = Date.now() / 1000;
+
+        const included = [];
+        const excluded = [];
+
+        cookies.forEach(cookie => {
+            const exclude = reason => excluded.push({ cookie, reason });
+            const domain = cookie.domain.replace(/^\./, '');
+
+            if (!this.domainMatches(cookie, url.hostname)) {
+                return exclude(cookie.hostOnly ? `Host-only cookie for ${domain}` : `Domain ${domain} does not cover ${url.hostname}`);
+            }
+            if (!this.pathMatches(cookie.path, url.pathname)) {
+                return exclude(`Path ${cookie.path} does not match ${url.pathname}`);
+            }
+            if (cookie.expirationDate && cookie.expirationDate <= now) {
+                return exclude('Expired');
+            }
+            if (cookie.secure && !secureContext) {
+                return exclude(`Secure cookie on an insecure ${url.protocol}// request`);
+            }
+
+            if (cookie.partitionKey) {
+                if (cookie.partitionKey.topLevelSite !== topLevelSite) {
+                    return exclude(`Partitioned under ${cookie.partitionKey.topLevelSite}, not ${topLevelSite}`);
+                }
+                if (cookie.partitionKey.hasCrossSiteAncestor !== undefined && cookie.partitionKey.hasCrossSiteAncestor !== crossSiteAncestor) {
+                    return exclude(cookie.partitionKey.hasCrossSiteAncestor
+                        ? 'Partition is for frames with a cross-site ancestor'
+                        : 'Partition is for frames without a cross-site ancestor');
+                }
+            }
+
+            let note = '';
+            // A subresource under a cross-site frame is cross-site for SameSite too, whoever initiated it
+            if (crossSite || crossSiteAncestor) {
+                const laxAllowed = navigation && SAFE_METHODS.includes(method);
+                if (cookie.sameSite === 'strict') {
+                    return exclude(crossSite ? 'SameSite=Strict on a cross-site request' : 'SameSite=Strict in a frame with a cross-site ancestor');
+                }
+                if (cookie.sameSite === 'lax' && !laxAllowed) {
+                    return exclude(navigation ? `SameSite=Lax on a cross-site ${method} navigation` : 'SameSite=Lax on a cross-site subresource or embedded frame');
+                }
+                if (cookie.sameSite === 'unspecified' && !laxAllowed) {
+                    // Chrome sends Lax-by-default cookies on cross-site top-level POSTs for 2 minutes after creation
+                    if (navigation) {
+                        note = 'Sent only if the cookie is under 2 minutes old (Lax+POST)';
+                    } else {
+                        return exclude('No SameSite attribute: treated as Lax on a cross-site subresource or embedded frame');
+                    }
+                }
+                if (cookie.sameSite === 'no_restriction' && !cookie.secure) {
+                    return exclude('SameSite=None without Secure');
+                }
+                if (cookie.sameSite === 'no_restriction' && !cookie.partitionKey && !navigation) {
+                    note = 'Third-party cookie: blocked if third-party cookies are disabled';
+                }
+            }
+
+            included.push({ cookie, note });
+        });
+
+        // Chrome orders the header by longest path first, then by creation time. chrome.cookies
+        // does not expose creation time, so equal paths keep the order the store returned them in.
+        included.sort((a, b) => b.cookie.path.length - a.cookie.path.length);
+        const header = included.map(({ cookie }) => cookie.name ? `${cookie.name}=${cookie.value}` : cookie.value).join('; ');
+
+        return {
+            url: url.href,
+            method,
+            topLevelSite,
+            included,
+            excluded,
+            header,
+            headerBytes: new TextEncoder().encode(header).length
+        };
+    }
+}
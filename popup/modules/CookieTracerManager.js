@@ -0,0 +1,153 @@
+/**
+ * Cookie Tracer Manager
+ * Opt-in, per origin. Enabling injects content/cookie-tracer.js into the page's MAIN world
+ * and registers it at document_start so writes made while the page loads are caught after a reload.
+ */
+export class CookieTracerManager {
+    constructor() {
+        this.tabId = null;
+        this.scriptId = 'storage-manager-cookie-tracer';
+        this.storageKey = 'cookieTracerOrigins';
+    }
+
+    setTabId(tabId) {
+        this.tabId = tabId;
+    }
+
+    async _origins() {
+        const stored = await chrome.storage.local.get(this.storageKey);
+        return stored[this.storageKey] || [];
+    }
+
+    async isEnabled(origin) {
+        return (await this._origins()).includes(origin);
+    }
+
+    async _register(origins) {
+        await chrome.storage.local.set({ [this.storageKey]: origins });
+
+        const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [this.scriptId] });
+        if (existing.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [this.scriptId] });
+        }
+        if (origins.length === 0) return;
+
+        await chrome.scripting.registerContentScripts([{
+            id: this.scriptId,
+            js: ['content/cookie-tracer.js'],
+            matches: origins.map(origin => `${origin}/*`),
+            runAt: 'document_start',
+            world: 'MAIN',
+            allFrames: true,
+            persistAcrossSessions: true
+        }]);
+    }
+
+    async enable(origin) {
+        const origins = await this._origins();
+        if (!origins.includes(origin)) await this._register([...origins, origin]);
+
+        // Start tracing the open page right away; earlier writes need a reload
+        if (this.tabId) {
+            await chrome.scripting.executeScript({
+                target: { tabId: this.tabId, allFrames: true },
+                world: 'MAIN',
+                files: ['content/cookie-tracer.js']
+            });
+        }
+    }
+
+    /**
+     * Stops registration for future loads; the wrapper stays active in the open page until it reloads.
+     */
+    async disable(origin) {
+        const origins = await this._origins();
+        await this._register(origins.filter(o => o !== origin));
+    }
+
+    /**
+     * Writes recorded in the page so far, oldest first.
+     * @returns {Promise<Array<{ api: string, name: string, value: string, raw: string, timestamp: number, caller: { url: string, line: number, column: number }|null, stack: string, frameUrl: string }>>}
+     */
+    async getRecords() {
+        if (!this.tabId) return [];
+
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: this.tabId, allFrames: true },
+            world: 'MAIN',
+            func: () => {
+                const tracer = window.__storageManagerCookieTracer;
+                return tracer ? tracer.records.map(r => ({ ...r, frameUrl: location.href })) : [];
+            }
+        });
+
+        return results
+            .flatMap(r => r.result || [])
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Domain and path a recorded write applies to: its Domain/Path attributes, else the defaults
+     * the frame's URL implies. null where neither is known (e.g. an about:blank frame).
+     * @returns {{ domain: string|null, hostOnly: boolean|null, path: string|null }}
+     */
+    scopeOf(record) {
+        let attributes = {};
+        if (record.api === 'document.cookie') {
+            String(record.raw).split(';').slice(1).forEach(part => {
+                const eq = part.indexOf('=');
+                if (eq < 0) return;
+                // The last occurrence of an attribute wins
+                attributes[part.substring(0, eq).trim().toLowerCase()] = part.substring(eq + 1).trim();
+            });
+        } else {
+            try {
+                attributes = JSON.parse(record.raw) || {};
+            } catch (e) { }
+        }
+
+        let frame = null;
+        try {
+            frame = new URL(record.frameUrl);
+            if (frame.protocol !== 'http:' && frame.protocol !== 'https:') frame = null;
+        } catch (e) { }
+
+        const domain = attributes.domain ? String(attributes.domain).replace(/^\./, '').toLowerCase() : '';
+        let path = attributes.path && String(attributes.path).startsWith('/') ? String(attributes.path) : null;
+        if (!path && record.api === 'cookieStore.set') path = '/';
+        if (!path && frame) {
+            // RFC 6265 default-path: the request path up to, not including, its last "/"
+            const cut = frame.pathname.lastIndexOf('/');
+            path = cut > 0 ? frame.pathname.substring(0, cut) : '/';
+        }
+
+        if (domain) return { domain: `.${domain}`, hostOnly: false, path };
+        return { domain: frame ? frame.hostname : null, hostOnly: frame ? true : null, path };
+    }
+
+    /**
+     * Whether a recorded write could have produced this cookie.
+     */
+    matches(record, cookie) {
+        if (record.name !== cookie.name) return false;
+        const scope = this.scopeOf(record);
+        if (scope.path !== null && scope.path !== cookie.path) return false;
+        if (scope.domain !== null) {
+            if (scope.hostOnly !== !!cookie.hostOnly) return false;
+            const domain = cookie.hostOnly ? cookie.domain : `.${cookie.domain.replace(/^\./, '')}`;
+            if (scope.domain !== domain) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Most recent write among `records` (oldest first, as from getRecords) that matches the cookie.
+     * @returns {object|null}
+     */
+    latestFor(records, cookie) {
+        for (let i = records.length - 1; i >= 0; i--) {
+            if (this.matches(records[i], cookie)) return records[i];
+        }
+        return null;
+    }
+}
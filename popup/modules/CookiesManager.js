@@ -1,39 +1,95 @@
+import { PublicSuffix } from './PublicSuffix.js';
+
+// Reconnect delays for the live change feed; a port that stayed up this long counts as healthy
+const FEED_RETRY_MIN_MS = 500;
+const FEED_RETRY_MAX_MS = 30000;
+const FEED_HEALTHY_MS = 5000;
+
 /**
  * Cookie Manager Module
  */
 export class CookiesManager {
     constructor() {
         this.currentUrl = null;
+        this.storeId = null; // null = Chrome's default lookup for the calling context
+        this.publicSuffix = new PublicSuffix();
     }
 
     async setUrl(url) {
         this.currentUrl = new URL(url);
     }
 
+    setStoreId(storeId) {
+        this.storeId = storeId || null;
+    }
+
+    /**
+     * List cookie stores with the tabs using each one.
+     * Incognito stores only appear when the extension is allowed in incognito.
+     * @returns {Promise<Array<{ id: string, incognito: boolean, tabs: Array<{ id: number, title: string, url: string }> }>>}
+     */
+    async getStores() {
+        const stores = await chrome.cookies.getAllCookieStores();
+        return Promise.all(stores.map(async store => {
+            const tabs = [];
+            for (const tabId of store.tabIds) {
+                try {
+                    const tab = await chrome.tabs.get(tabId);
+                    tabs.push({ id: tab.id, title: tab.title, url: tab.url, incognito: tab.incognito });
+                } catch (e) {
+                    // Tab closed while listing
+                }
+            }
+            return {
+                id: store.id,
+                incognito: tabs.some(t => t.incognito),
+                tabs
+            };
+        }));
+    }
+
+    _query(details) {
+        if (this.storeId) details.storeId = this.storeId;
+        return details;
+    }
+
+    /**
+     * Registrable domain (eTLD+1) of the current URL, e.g. 'example.co.uk' for 'www.example.co.uk'.
+     * Falls back to the hostname for IPs, localhost and hosts that are themselves public suffixes.
+     */
+    getSite() {
+        if (!this.currentUrl) return null;
+        const hostname = this.currentUrl.hostname;
+        return this.publicSuffix.getRegistrableDomain(hostname) || hostname;
+    }
+
+    /**
+     * Classify a cookie relative to the current host.
+     * @returns {'host-only'|'current-subdomain'|'parent-domain'|'other-host'}
+     */
+    getScope(cookie) {
+        const host = this.currentUrl ? this.currentUrl.hostname : '';
+        const domain = cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain;
+
+        if (cookie.hostOnly) return domain === host ? 'host-only' : 'other-host';
+        if (domain === host) return 'current-subdomain';
+        if (host.endsWith(`.${domain}`)) return 'parent-domain';
+        return 'other-host';
+    }
+
     async getAll() {
         if (!this.currentUrl) return [];
 
         const hostname = this.currentUrl.hostname;
-        // Simple domain extraction: get 'example.com' from 'www.dev.example.com'
-        // This is a naive implementation; for production robust use, a public suffix list is needed
-        // but this covers 99% of cases.
-        const parts = hostname.split('.');
-        let domain = hostname;
-        if (parts.length > 2) {
-            domain = parts.slice(-2).join('.');
-            // Handle some common 2-part TLDs like co.uk roughly
-            if (parts.length > 3 && (parts[parts.length - 2].length <= 2 || ['co.uk', 'com.au', 'net.in'].includes(domain))) {
-                domain = parts.slice(-3).join('.');
-            }
-        }
+        const domain = this.getSite();
 
         return new Promise((resolve) => {
             // Fetch by URL (Context specific)
-            chrome.cookies.getAll({ url: this.currentUrl.href }, (urlCookies) => {
+            chrome.cookies.getAll(this._query({ url: this.currentUrl.href }), (urlCookies) => {
                 // Fetch by Domain (Subdomain coverage)
-                chrome.cookies.getAll({ domain: domain }, (domainCookies) => {
+                chrome.cookies.getAll(this._query({ domain: domain }), (domainCookies) => {
                     // Fetch by hostname just in case
-                    chrome.cookies.getAll({ domain: hostname }, (hostCookies) => {
+                    chrome.cookies.getAll(this._query({ domain: hostname }), (hostCookies) => {
                         const all = [...(urlCookies || []), ...(domainCookies || []), ...(hostCookies || [])];
 
                         // Deduplicate by Name + Domain + Path
@@ -52,6 +108,88 @@ export class CookiesManager {
 
 
 
+    /**
+     * Schemeful site used as a CHIPS partition key, e.g. 'https://example.com' for 'https://www.example.com:8443/x'.
+     */
+    toTopLevelSite(urlOrSite) {
+        const url = new URL(urlOrSite.includes('://') ? urlOrSite : `https://${urlOrSite}`);
+        const site = this.publicSuffix.getRegistrableDomain(url.hostname) || url.hostname;
+        return `${url.protocol}//${site}`;
+    }
+
+    /**
+     * List partitioned (CHIPS) cookies.
+     * - With a topLevelSite: every cookie stored in that partition, whatever its domain.
+     * - Without: this site's cookies across all partitions.
+     * @param {{ topLevelSite?: string, hasCrossSiteAncestor?: boolean }} [partitionKey]
+     */
+    async getPartitioned(partitionKey = {}) {
+        const query = this._query({ partitionKey });
+        if (!partitionKey.topLevelSite) {
+            if (!this.currentUrl) return [];
+            query.domain = this.getSite();
+        }
+
+        const cookies = await new Promise((resolve, reject) => {
+            chrome.cookies.getAll(query, (result) => {
+                if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
+                else resolve(result || []);
+            });
+        });
+
+        // Unpartitioned cookies are returned alongside partitioned ones
+        return cookies.filter(c => c.partitionKey && (!partitionKey.topLevelSite || c.partitionKey.topLevelSite === partitionKey.topLevelSite));
+    }
+
+    /**
+     * The site's whole jar: getAll() only sees unpartitioned cookies, so this adds the site's
+     * partitioned (CHIPS) cookies from every partition.
+     */
+    async getJar() {
+        const [unpartitioned, partitioned] = await Promise.all([this.getAll(), this.getPartitioned()]);
+        return [...unpartitioned, ...partitioned];
+    }
+
+    /**
+     * Stream chrome.cookies.onChanged events for the current site (and store) from the background worker.
+     * The worker is stopped when idle, which drops the port and its subscription, so the port is
+     * reopened (with backoff) until unsubscribed. Changes made while disconnected are not replayed.
+     * @param {(event: { removed: boolean, cause: string, cookie: object, timestamp: number }) => void} callback
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribeChanges(callback) {
+        const subscription = { type: 'subscribe', domain: this.getSite(), storeId: this.storeId };
+        let port = null;
+        let retryTimer = null;
+        let delay = FEED_RETRY_MIN_MS;
+        let closed = false;
+
+        const connect = () => {
+            retryTimer = null;
+            const connectedAt = Date.now();
+            port = chrome.runtime.connect({ name: 'cookie-feed' });
+            port.onMessage.addListener((msg) => {
+                if (msg.type === 'cookieChanged') callback(msg);
+            });
+            port.onDisconnect.addListener(() => {
+                void chrome.runtime.lastError; // Expected when the worker goes away
+                port = null;
+                if (closed) return;
+                if (Date.now() - connectedAt >= FEED_HEALTHY_MS) delay = FEED_RETRY_MIN_MS;
+                retryTimer = setTimeout(connect, delay);
+                delay = Math.min(delay * 2, FEED_RETRY_MAX_MS);
+            });
+            port.postMessage(subscription);
+        };
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (port) port.disconnect();
+        };
+    }
+
     async set(cookie) {
         let url = this.currentUrl ? this.currentUrl.href : null;
 
@@ -70,7 +208,7 @@ export class CookiesManager {
             secure: cookie.secure,
             httpOnly: cookie.httpOnly,
             sameSite: cookie.sameSite,
-            storeId: cookie.storeId,
+            storeId: cookie.storeId || this.storeId || undefined,
             expirationDate: cookie.expirationDate
         };
 
@@ -95,19 +233,155 @@ export class CookiesManager {
         });
     }
 
+    /**
+     * Explain why Chrome would refuse to store a cookie.
+     * chrome.cookies.set only reports a generic failure, so the rules are checked up front.
+     * @param {object} cookie chrome.cookies-shaped cookie
+     * @param {string} [url] URL the cookie is being set for; defaults to the one set() would derive
+     * @returns {Array<string>} Problems, empty when the cookie looks valid
+     */
+    validate(cookie, url) {
+        const problems = [];
+        const domain = (cookie.domain || '').replace(/^\./, '');
+        let target = null;
+        try {
+            target = new URL(url || `${cookie.secure ? 'https:' : 'http:'}//${domain}${cookie.path || '/'}`);
+        } catch (e) {
+            problems.push('Invalid domain');
+        }
+
+        if (!cookie.name && !cookie.value) problems.push('Name and value cannot both be empty');
+        if (/[\s;=,\x00-\x1f\x7f]/.test(cookie.name || '')) problems.push('Name contains whitespace, ";", "=", "," or control characters');
+        if (/[;\x00-\x1f\x7f]/.test(cookie.value || '')) problems.push('Value contains ";" or control characters');
+        if (new TextEncoder().encode((cookie.name || '') + (cookie.value || '')).length > 4096) {
+            problems.push('Name and value exceed 4096 bytes');
+        }
+        if (cookie.path && !cookie.path.startsWith('/')) problems.push('Path must start with "/"');
+
+        if (cookie.sameSite === 'no_restriction' && !cookie.secure) problems.push('SameSite=None requires Secure');
+        if (cookie.partitionKey && !cookie.secure) problems.push('Partitioned cookies require Secure');
+        if ((cookie.name || '').startsWith('__Secure-') && !cookie.secure) problems.push('__Secure- prefix requires Secure');
+        if ((cookie.name || '').startsWith('__Host-')) {
+            if (!cookie.secure) problems.push('__Host- prefix requires Secure');
+            if (!cookie.hostOnly) problems.push('__Host- prefix forbids a Domain attribute');
+            if (cookie.path !== '/') problems.push('__Host- prefix requires Path=/');
+        }
+
+        if (target) {
+            const isLocalhost = target.hostname === 'localhost' || target.hostname.endsWith('.localhost');
+            if (cookie.secure && target.protocol !== 'https:' && !isLocalhost) {
+                problems.push(`Secure cookies cannot be set from ${target.protocol}//`);
+            }
+            if (domain && !cookie.hostOnly) {
+                if (target.hostname !== domain && !target.hostname.endsWith(`.${domain}`)) {
+                    problems.push(`Domain=${domain} does not match ${target.hostname}`);
+                } else if (this.publicSuffix.getPublicSuffix(domain) === domain && domain !== target.hostname) {
+                    problems.push(`Domain=${domain} is a public suffix`);
+                }
+            }
+        }
+
+        if (cookie.expirationDate && cookie.expirationDate <= Date.now() / 1000) {
+            problems.push('Expiry is in the past, so Chrome deletes the cookie instead');
+        }
+        return problems;
+    }
+
+    /**
+     * Rewrite a cookie so it applies to another origin (e.g. staging -> http://localhost:3000).
+     * @param {object} cookie Source cookie
+     * @param {string} targetOrigin Origin, optionally with a path to scope the cookies to
+     * @returns {{ cookie: object, changes: Array<string> }} The rewritten cookie and what was adjusted
+     */
+    cloneToOrigin(cookie, targetOrigin) {
+        const target = this._parseTarget(targetOrigin);
+        const insecure = target.protocol === 'http:';
+        // IPs, localhost and other bare public suffixes cannot carry a Domain attribute
+        const suffix = this.publicSuffix.getPublicSuffix(target.hostname);
+        const canShareDomain = suffix !== null && suffix !== target.hostname;
+        const changes = [];
+
+        const clone = { ...cookie };
+        delete clone.session;
+
+        clone.hostOnly = cookie.hostOnly || !canShareDomain;
+        clone.domain = clone.hostOnly ? target.hostname : `.${target.hostname}`;
+        if (!cookie.hostOnly && clone.hostOnly) changes.push('Domain attribute dropped (host-only)');
+
+        if (target.pathname !== '/') {
+            clone.path = target.pathname.replace(/\/$/, '');
+            if (clone.path !== cookie.path) changes.push(`Path ${cookie.path} -> ${clone.path}`);
+        }
+
+        if (insecure) {
+            if (cookie.secure) {
+                clone.secure = false;
+                changes.push('Secure removed');
+            }
+            if (cookie.sameSite === 'no_restriction') {
+                clone.sameSite = 'lax';
+                changes.push('SameSite None -> Lax');
+            }
+            if (cookie.partitionKey) {
+                delete clone.partitionKey;
+                changes.push('Partition dropped');
+            }
+        } else if (cookie.partitionKey) {
+            clone.partitionKey = { ...cookie.partitionKey, topLevelSite: this.toTopLevelSite(target.href) };
+        }
+
+        return { cookie: clone, changes };
+    }
+
+    /**
+     * A target without a scheme is https, except localhost and IP addresses, which
+     * dev servers almost always serve over plain http.
+     */
+    _parseTarget(targetOrigin) {
+        if (targetOrigin.includes('://')) return new URL(targetOrigin);
+        const url = new URL(`http://${targetOrigin}`);
+        const host = url.hostname;
+        const local = host === 'localhost' || host.endsWith('.localhost')
+            || /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[');
+        return local ? url : new URL(`https://${targetOrigin}`);
+    }
+
     async delete(cookie) {
         const url = "http" + (cookie.secure ? "s" : "") + "://" + (cookie.domain.startsWith('.') ? cookie.domain.substring(1) : cookie.domain) + cookie.path;
+        const details = {
+            url: url,
+            name: cookie.name,
+            storeId: cookie.storeId || this.storeId || undefined
+        };
+
+        // Partitioned cookies can only be removed from their own partition
+        if (cookie.partitionKey) {
+            details.partitionKey = cookie.partitionKey;
+        }
+
         return new Promise((resolve) => {
-            chrome.cookies.remove({
-                url: url,
-                name: cookie.name,
-                storeId: cookie.storeId
-            }, (details) => {
-                resolve(details);
+            chrome.cookies.remove(details, (removed) => {
+                resolve(removed);
             });
         });
     }
 
+    /**
+     * The Set-Cookie header line a server would send to create this cookie.
+     */
+    toSetCookie(cookie) {
+        const parts = [cookie.name ? `${cookie.name}=${cookie.value}` : cookie.value];
+        if (!cookie.hostOnly && cookie.domain) parts.push(`Domain=${cookie.domain.replace(/^\./, '')}`);
+        parts.push(`Path=${cookie.path || '/'}`);
+        if (cookie.expirationDate) parts.push(`Expires=${new Date(cookie.expirationDate * 1000).toUTCString()}`);
+        if (cookie.secure) parts.push('Secure');
+        if (cookie.httpOnly) parts.push('HttpOnly');
+        const sameSite = { no_restriction: 'None', lax: 'Lax', strict: 'Strict' }[cookie.sameSite];
+        if (sameSite) parts.push(`SameSite=${sameSite}`);
+        if (cookie.partitionKey) parts.push('Partitioned');
+        return `Set-Cookie: ${parts.join('; ')}`;
+    }
+
     /**
      * Convert an array of cookies to Netscape format
      */
@@ -46,6 +46,33 @@ export class DebuggerManager {
         }
     }
 
+    /**
+     * Subscribe to CDP events from the current tab.
+     * @param {(method: string, params: object) => void} callback
+     * @returns {() => void} Unsubscribe function
+     */
+    onEvent(callback) {
+        const listener = (source, method, params) => {
+            if (source.tabId === this.tabId) callback(method, params);
+        };
+        chrome.debugger.onEvent.addListener(listener);
+        return () => chrome.debugger.onEvent.removeListener(listener);
+    }
+
+    // --- Network (CDP Only) ---
+
+    async enableNetwork() {
+        await this.sendCommand('Network.enable');
+    }
+
+    async disableNetwork() {
+        try {
+            await this.sendCommand('Network.disable');
+        } catch (e) {
+            // Already detached
+        }
+    }
+
     // --- Trust Tokens (CDP Only) ---
 
     async getTrustTokens() {
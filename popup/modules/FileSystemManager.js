@@ -1,12 +1,14 @@
 export class FileSystemManager {
     constructor() {
         this.tabId = null;
+        this.frameId = 0; // Frame the inspector is injected into (0 = top frame)
     }
 
-    async connect(tabId) {
+    async connect(tabId, frameId = 0) {
         this.tabId = tabId;
+        this.frameId = frameId;
         await chrome.scripting.executeScript({
-            target: { tabId: this.tabId },
+            target: { tabId: this.tabId, frameIds: [this.frameId] },
             files: ['content/inspector.js']
         });
     }
@@ -14,7 +16,7 @@ export class FileSystemManager {
     async getQuota() {
         if (!this.tabId) return null;
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getQuota' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getQuota' }, { frameId: this.frameId }, response => {
                 if (chrome.runtime.lastError) {
                     console.warn('FileSystemManager: getQuota failed:', chrome.runtime.lastError.message);
                     resolve(null);
@@ -28,7 +30,7 @@ export class FileSystemManager {
     async getFileSystem() {
         if (!this.tabId) return [];
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getFileSystem' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getFileSystem' }, { frameId: this.frameId }, response => {
                 if (chrome.runtime.lastError) {
                     console.warn('FileSystemManager: getFileSystem failed:', chrome.runtime.lastError.message);
                     resolve([]);
@@ -42,7 +44,7 @@ export class FileSystemManager {
     async getServiceWorkers() {
         if (!this.tabId) return [];
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getServiceWorkers' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getServiceWorkers' }, { frameId: this.frameId }, response => {
                 if (chrome.runtime.lastError) {
                     console.warn('FileSystemManager: getServiceWorkers failed:', chrome.runtime.lastError.message);
                     resolve([]);
@@ -56,7 +58,7 @@ export class FileSystemManager {
     async downloadFile(path) {
         if (!this.tabId) return null;
         return new Promise((resolve, reject) => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'downloadFile', path }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'downloadFile', path }, { frameId: this.frameId }, response => {
                 if (response && response.error) reject(new Error(response.error));
                 else resolve(response);
             });
@@ -66,7 +68,7 @@ export class FileSystemManager {
     async getBuckets() {
         if (!this.tabId) return [];
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getStorageBuckets' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getStorageBuckets' }, { frameId: this.frameId }, response => {
                 resolve(response && response.data ? response.data : []);
             });
         });
@@ -75,7 +77,7 @@ export class FileSystemManager {
     async getSharedStorage() {
         if (!this.tabId) return { available: false };
         return new Promise(resolve => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getSharedStorage' }, response => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getSharedStorage' }, { frameId: this.frameId }, response => {
                 resolve(response && response.data ? response.data : { available: false });
             });
         });
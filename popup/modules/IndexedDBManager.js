@@ -1,15 +1,22 @@
 /**
  * IndexDB Manager
  */
+
+// Records per page in the store view, and per message when reading a whole store
+const PAGE_SIZE = 100;
+const FULL_READ_PAGE_SIZE = 500;
+
 export class IndexedDBManager {
     constructor() {
         this.tabId = null;
+        this.frameId = 0; // Frame the inspector is injected into (0 = top frame)
     }
 
-    async connect(tabId) {
+    async connect(tabId, frameId = 0) {
         this.tabId = tabId;
+        this.frameId = frameId;
         await chrome.scripting.executeScript({
-            target: { tabId: this.tabId },
+            target: { tabId: this.tabId, frameIds: [this.frameId] },
             files: ['content/inspector.js']
         });
     }
@@ -18,7 +25,7 @@ export class IndexedDBManager {
         if (!this.tabId) return [];
 
         return new Promise((resolve) => {
-            chrome.tabs.sendMessage(this.tabId, { type: 'getIndexedDBList' }, (response) => {
+            chrome.tabs.sendMessage(this.tabId, { type: 'getIndexedDBList' }, { frameId: this.frameId }, (response) => {
                 if (chrome.runtime.lastError) {
                     console.warn(chrome.runtime.lastError);
                     resolve([]);
@@ -29,20 +36,50 @@ export class IndexedDBManager {
         });
     }
 
-    async getStoreData(dbName, storeName) {
-        return new Promise((resolve) => {
-            chrome.tabs.sendMessage(this.tabId, {
-                type: 'getIndexedDBStoreData',
-                dbName,
-                storeName
-            }, (response) => {
-                if (response && response.data) {
-                    resolve(response.data);
-                } else {
-                    resolve([]);
-                }
-            });
-        });
+    /**
+     * Read a whole store (or query) by walking it page by page, so no single message carries everything.
+     * @param {object|null} query See getStorePage
+     */
+    async getStoreData(dbName, storeName, query = null) {
+        const rows = [];
+        let after = null;
+        do {
+            let page;
+            try {
+                page = await this.getStorePage(dbName, storeName, { query, after, pageSize: FULL_READ_PAGE_SIZE });
+            } catch (e) {
+                // A plain dump has always degraded to an empty list
+                if (query) throw e;
+                return rows;
+            }
+            rows.push(...page.data);
+            after = page.next;
+        } while (after);
+        return rows;
+    }
+
+    /**
+     * One page of records, read with a cursor.
+     * @param {{ query?: object|null, after?: object|null, pageSize?: number }} options
+     *   query: { indexName: string|null, lower, upper, lowerOpen: boolean, upperOpen: boolean, direction: IDBCursorDirection },
+     *   or null for the whole store by primary key. Rows carry `indexKey` next to the primary `key` when an index is used.
+     *   after: the `next` token of the previous page.
+     * @returns {Promise<{ data: Array<{ key: any, indexKey?: any, value: any }>, next: object|null, total: number|null }>}
+     *   `next` is null on the last page; `total` (records in range) is only counted for the first page.
+     *   Dates, binary keys and ±Infinity (also inside array keys) come as { $idbKey, value } and are
+     *   accepted in that form wherever a key is passed back (bounds, `after`, deleteItem, patchItem, putItem).
+     */
+    async getStorePage(dbName, storeName, { query = null, after = null, pageSize = PAGE_SIZE } = {}) {
+        const response = await this._send({ type: 'getIndexedDBStoreData', dbName, storeName, query, after, pageSize });
+        return { data: response.data || [], next: response.next || null, total: response.total ?? null };
+    }
+
+    /**
+     * @returns {Promise<{ keyPath: string|string[]|null, autoIncrement: boolean, indexes: Array<{ name: string, keyPath: string|string[], unique: boolean, multiEntry: boolean }> }>}
+     */
+    async getStoreInfo(dbName, storeName) {
+        const response = await this._send({ type: 'getIndexedDBStoreInfo', dbName, storeName });
+        return response.data;
     }
 
     async putItem(dbName, storeName, key, value) {
@@ -53,20 +90,62 @@ export class IndexedDBManager {
                 storeName,
                 key,
                 value
-            }, (response) => {
+            }, { frameId: this.frameId }, (response) => {
                 if (response && response.error) reject(new Error(response.error));
                 else resolve(response);
             });
         });
     }
 
+    /**
+     * Replace string fields of a stored record without round-tripping the rest of it through the message.
+     * Fails, writing nothing, if a field no longer holds `from`.
+     * @param {Array<{ path: string[], from: string, to: string }>} patches Property path from the record's root
+     */
+    async patchItem(dbName, storeName, key, patches) {
+        return this._send({ type: 'patchIndexedDBItem', dbName, storeName, key, patches });
+    }
+
+    async deleteItem(dbName, storeName, key) {
+        return this._send({ type: 'deleteIndexedDBItem', dbName, storeName, key });
+    }
+
+    async clearStore(dbName, storeName) {
+        return this._send({ type: 'clearIndexedDBStore', dbName, storeName });
+    }
+
+    /**
+     * Drops an object store through a version upgrade.
+     * Resolves { blocked: true } when another open connection holds the upgrade back.
+     */
+    async deleteStore(dbName, storeName) {
+        return this._send({ type: 'deleteIndexedDBStore', dbName, storeName });
+    }
+
+    /**
+     * Resolves { blocked: true } when other open connections delay the deletion.
+     */
+    async deleteDatabase(dbName) {
+        return this._send({ type: 'deleteIndexedDBDatabase', dbName });
+    }
+
+    _send(message) {
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(this.tabId, message, { frameId: this.frameId }, (response) => {
+                if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+                else if (response && response.error) reject(new Error(response.error));
+                else resolve(response || {});
+            });
+        });
+    }
+
     async createStore(dbName, storeName) {
         return new Promise((resolve, reject) => {
             chrome.tabs.sendMessage(this.tabId, {
                 type: 'createIndexedDBStore',
                 dbName,
                 storeName
-            }, (response) => {
+            }, { frameId: this.frameId }, (response) => {
                 if (response && response.error) reject(new Error(response.error));
                 else resolve(response);
             });
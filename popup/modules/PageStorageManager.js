@@ -5,13 +5,15 @@ export class PageStorageManager {
     constructor(storageType = 'localStorage') {
         this.storageType = storageType; // 'localStorage' or 'sessionStorage'
         this.tabId = null;
+        this.frameId = 0; // Frame the inspector is injected into (0 = top frame)
     }
 
-    async connect(tabId) {
+    async connect(tabId, frameId = 0) {
         this.tabId = tabId;
+        this.frameId = frameId;
         // Inject the inspector script
         await chrome.scripting.executeScript({
-            target: { tabId: this.tabId },
+            target: { tabId: this.tabId, frameIds: [this.frameId] },
             files: ['content/inspector.js']
         });
     }
@@ -22,7 +24,7 @@ export class PageStorageManager {
         const method = this.storageType === 'localStorage' ? 'getLocalStorage' : 'getSessionStorage';
 
         return new Promise((resolve, reject) => {
-            chrome.tabs.sendMessage(this.tabId, { type: method }, (response) => {
+            chrome.tabs.sendMessage(this.tabId, { type: method }, { frameId: this.frameId }, (response) => {
                 if (chrome.runtime.lastError) {
                     // If message fails, maybe script isn't ready or frame issues. 
                     // Retry injection? For now, resolve empty.
@@ -46,11 +48,39 @@ export class PageStorageManager {
         });
     }
 
+    async set(key, value) {
+        const method = this.storageType === 'localStorage' ? 'setLocalStorage' : 'setSessionStorage';
+
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(this.tabId, { type: method, key, value }, { frameId: this.frameId }, (response) => {
+                if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+                else resolve(response);
+            });
+        });
+    }
+
+    /**
+     * Apply removals and writes in a single message. The page rolls back if any write fails.
+     * `set` is a list of [key, value] pairs, since keys like "__proto__" do not survive as object properties.
+     * @param {{ set: Array<[string, string]>, remove: string[] }} batch
+     */
+    async batch({ set = [], remove = [] }) {
+        const method = this.storageType === 'localStorage' ? 'batchLocalStorage' : 'batchSessionStorage';
+
+        return new Promise((resolve, reject) => {
+            chrome.tabs.sendMessage(this.tabId, { type: method, set, remove }, { frameId: this.frameId }, (response) => {
+                if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+                else if (response && response.error) reject(new Error(response.error));
+                else resolve(response);
+            });
+        });
+    }
+
     async delete(item) {
         const method = this.storageType === 'localStorage' ? 'removeLocalStorage' : 'removeSessionStorage';
 
         return new Promise((resolve) => {
-            chrome.tabs.sendMessage(this.tabId, { type: method, key: item.key }, (response) => {
+            chrome.tabs.sendMessage(this.tabId, { type: method, key: item.key }, { frameId: this.frameId }, (response) => {
                 resolve(response);
             });
         });
@@ -109,6 +109,22 @@ export class PageVariablesManager {
         return response.result;
     }
 
+    async deleteVariable(name) {
+        this.variablesCache = null;
+
+        await chrome.scripting.executeScript({
+            target: { tabId: this.tabId },
+            world: 'MAIN',
+            args: [name],
+            func: (name) => {
+                // Non-configurable globals (var declarations) cannot be deleted, only cleared
+                if (!delete window[name]) {
+                    window[name] = undefined;
+                }
+            }
+        });
+    }
+
     async setVariable(name, value) {
         this.variablesCache = null;
 
@@ -0,0 +1,89 @@
+import RULES from '../lib/public-suffix-list.js';
+
+/**
+ * Public Suffix Matcher
+ * Offline eTLD / eTLD+1 resolution against the bundled Public Suffix List snapshot.
+ */
+export class PublicSuffix {
+    constructor(rules = RULES) {
+        this.rules = rules;
+        this.exact = null;
+        this.wildcards = null; // Parents of "*.x" rules
+        this.exceptions = null; // "!x" rules
+    }
+
+    _build() {
+        if (this.exact) return;
+        this.exact = new Set();
+        this.wildcards = new Set();
+        this.exceptions = new Set();
+
+        this.rules.forEach(rule => {
+            let target = this.exact;
+            let name = rule;
+            if (name.startsWith('!')) {
+                target = this.exceptions;
+                name = name.substring(1);
+            } else if (name.startsWith('*.')) {
+                target = this.wildcards;
+                name = name.substring(2);
+            }
+            target.add(this._toAscii(name));
+        });
+    }
+
+    // Hostnames from URL objects are punycode, while the list stores IDN rules in Unicode
+    _toAscii(name) {
+        if (/^[\x00-\x7f]*$/.test(name)) return name;
+        try {
+            return new URL(`http://${name}`).hostname;
+        } catch (e) {
+            return name;
+        }
+    }
+
+    _isIp(hostname) {
+        return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {string} The public suffix (eTLD), e.g. "co.uk" or "github.io"
+     */
+    getPublicSuffix(hostname) {
+        this._build();
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        if (this._isIp(host)) return null;
+
+        const labels = host.split('.');
+        for (let i = 0; i < labels.length; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (this.exceptions.has(candidate)) {
+                return labels.slice(i + 1).join('.');
+            }
+            if (this.exact.has(candidate)) {
+                return candidate;
+            }
+            if (i + 1 < labels.length && this.wildcards.has(labels.slice(i + 1).join('.'))) {
+                return candidate;
+            }
+        }
+
+        // Default rule "*": the last label is the suffix
+        return labels[labels.length - 1];
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {string|null} The registrable domain (eTLD+1), or null for IPs and bare suffixes
+     */
+    getRegistrableDomain(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        const suffix = this.getPublicSuffix(host);
+        if (!suffix || suffix === host) return null;
+
+        const suffixLabels = suffix.split('.').length;
+        const labels = host.split('.');
+        return labels.slice(-(suffixLabels + 1)).join('.');
+    }
+}
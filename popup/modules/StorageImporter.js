@@ -0,0 +1,100 @@
+/**
+ * Storage Importer Module
+ * Parses localStorage/sessionStorage dumps and plans how they would be written.
+ */
+
+export const IMPORT_MODES = {
+    merge: 'Merge (add new keys, overwrite existing)',
+    'skip-existing': 'Skip existing (only add new keys)',
+    replace: 'Replace (remove every other key)'
+};
+
+export class StorageImporter {
+    /**
+     * Detect the format of a dump and parse it.
+     * @param {string} text
+     * @returns {{ format: string, entries: Array<{ key: string, value: string }> }}
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) throw new Error('Nothing to import');
+
+        let json;
+        try {
+            json = JSON.parse(trimmed);
+            // JSON.stringify(localStorage) copied from the console arrives quoted once more
+            if (typeof json === 'string') json = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+
+        if (Array.isArray(json)) {
+            const entries = json.map((entry, i) => {
+                if (!entry || typeof entry !== 'object' || entry.key === undefined) {
+                    throw new Error(`Entry ${i + 1} has no "key"`);
+                }
+                return { key: String(entry.key), value: this.toStorageString(entry.value) };
+            });
+            return { format: 'Entry list', entries };
+        }
+        if (json && typeof json === 'object') {
+            const entries = Object.entries(json).map(([key, value]) => ({ key, value: this.toStorageString(value) }));
+            return { format: 'Key/value object', entries };
+        }
+        throw new Error('Unrecognized JSON structure (expected an object or a list of { key, value } entries)');
+    }
+
+    // Web Storage only holds strings; anything else is stored as its JSON text
+    toStorageString(value) {
+        if (typeof value === 'string') return value;
+        if (value === undefined) return '';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Decide what importing each entry would do against the current storage area.
+     * @param {Array<{ key: string, value: string }>} entries Parsed entries
+     * @param {Array<{ key: string, value: string }>} existing Items currently stored
+     * @param {'merge'|'skip-existing'|'replace'} mode
+     * @returns {Array<{ action: 'create'|'overwrite'|'remove'|'skip', reason: string, key: string, value: string|null, oldValue: string|null }>}
+     */
+    plan(entries, existing, mode) {
+        const existingMap = new Map(existing.map(item => [item.key, item.value]));
+
+        // Later entries win
+        const lastIndex = new Map();
+        entries.forEach((entry, i) => lastIndex.set(entry.key, i));
+
+        const plan = entries.map((entry, i) => {
+            const oldValue = existingMap.has(entry.key) ? existingMap.get(entry.key) : null;
+            const skip = reason => ({ action: 'skip', reason, key: entry.key, value: entry.value, oldValue });
+
+            if (lastIndex.get(entry.key) !== i) return skip('Superseded by a later entry');
+            if (oldValue === null) return { action: 'create', reason: '', key: entry.key, value: entry.value, oldValue };
+            if (oldValue === entry.value) return skip('Identical value already stored');
+            if (mode === 'skip-existing') return skip('Key already exists');
+            return { action: 'overwrite', reason: '', key: entry.key, value: entry.value, oldValue };
+        });
+
+        if (mode === 'replace') {
+            existing.filter(item => !lastIndex.has(item.key)).forEach(item => {
+                plan.push({ action: 'remove', reason: 'Not in the import', key: item.key, value: null, oldValue: item.value });
+            });
+        }
+        return plan;
+    }
+
+    /**
+     * Batch payload for PageStorageManager.batch().
+     * @returns {{ set: Array<[string, string]>, remove: string[] }}
+     */
+    toBatch(plan) {
+        const set = [];
+        const remove = [];
+        plan.forEach(p => {
+            if (p.action === 'create' || p.action === 'overwrite') set.push([p.key, p.value]);
+            else if (p.action === 'remove') remove.push(p.key);
+        });
+        return { set, remove };
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Storage Monitor
+ * Streams localStorage/sessionStorage mutations from the page, with caller stacks.
+ * content/storage-monitor.js wraps Storage.prototype in the MAIN world; inspector.js relays its messages.
+ */
+export class StorageMonitor {
+    constructor() {
+        this.tabId = null;
+        this.frameId = 0;
+    }
+
+    async start(tabId, frameId = 0) {
+        this.tabId = tabId;
+        this.frameId = frameId;
+        await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId] },
+            files: ['content/inspector.js']
+        });
+        await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId] },
+            world: 'MAIN',
+            files: ['content/storage-monitor.js']
+        });
+    }
+
+    /**
+     * Turns the wrappers into pass-throughs; they stay installed until the page reloads.
+     */
+    async stop() {
+        if (!this.tabId) return;
+        await chrome.scripting.executeScript({
+            target: { tabId: this.tabId, frameIds: [this.frameId] },
+            world: 'MAIN',
+            func: () => {
+                if (window.__storageManagerMonitor) window.__storageManagerMonitor.enabled = false;
+            }
+        });
+    }
+
+    /**
+     * @param {(mutation: { storageType: string, op: 'set'|'remove'|'clear', key: string|null, oldValue: string|null, newValue: string|null, timestamp: number, url: string, stack: string }) => void} callback
+     * @returns {() => void} Unsubscribe function
+     */
+    subscribe(callback) {
+        const listener = (request, sender) => {
+            if (request.type === 'storageMutation' && sender.tab && sender.tab.id === this.tabId && sender.frameId === this.frameId) {
+                callback(request.mutation);
+            }
+        };
+        chrome.runtime.onMessage.addListener(listener);
+        return () => chrome.runtime.onMessage.removeListener(listener);
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Storage Search Module
+ * Finds a pattern in keys and values across cookies, Web Storage and IndexedDB,
+ * looking inside codec-encoded values, and replaces it with rollback on failure.
+ */
+
+export const SEARCHABLE_STORAGES = {
+    cookie: 'Cookies',
+    localStorage: 'Local Storage',
+    sessionStorage: 'Session Storage',
+    indexedDB: 'IndexedDB'
+};
+
+// Characters of context kept on each side of a match
+const CONTEXT_CHARS = 30;
+// Matches listed per field; the count still covers all of them
+const MAX_LISTED_MATCHES = 20;
+
+export class StorageSearch {
+    constructor({ codecManager, cookiesManager, cookieLocksManager, localStorageManager, sessionStorageManager, indexedDBManager }) {
+        this.codecManager = codecManager;
+        this.cookiesManager = cookiesManager;
+        this.cookieLocksManager = cookieLocksManager;
+        this.managers = { localStorage: localStorageManager, sessionStorage: sessionStorageManager };
+        this.indexedDBManager = indexedDBManager;
+    }
+
+    /**
+     * @throws {SyntaxError} On an invalid regular expression
+     */
+    compile(pattern, { regex = false, caseSensitive = false } = {}) {
+        if (!pattern) throw new Error('Enter something to search for');
+        const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    }
+
+    /**
+     * Expand $&, $1, $<name>, $`, $' and $$ the way String.prototype.replace does,
+     * so each listed match can show exactly what it turns into.
+     */
+    substitute(replacement, match, captures, offset, string, named) {
+        return replacement.replace(/\$([$&`']|\d{1,2}|<([^>]*)>)/g, (token, code, name) => {
+            if (code === '$') return '$';
+            if (code === '&') return match;
+            if (code === '`') return string.substring(0, offset);
+            if (code === '\'') return string.substring(offset + match.length);
+            if (name !== undefined) return named ? (named[name] ?? '') : token;
+            const n = parseInt(code, 10);
+            if (n >= 1 && n <= captures.length) return captures[n - 1] ?? '';
+            // "$12" with a single group means $1 followed by "2"
+            const first = parseInt(code[0], 10);
+            if (code.length === 2 && first >= 1 && first <= captures.length) return (captures[first - 1] ?? '') + code[1];
+            return token;
+        });
+    }
+
+    /**
+     * @param {string} text
+     * @param {RegExp} re Global pattern from compile()
+     * @param {string|null} replacement null to only search
+     * @returns {{ count: number, matches: Array<{ before: string, match: string, replaced: string, after: string }>, text: string }}
+     */
+    scan(text, re, replacement) {
+        const matches = [];
+        let count = 0;
+        re.lastIndex = 0;
+        const newText = text.replace(re, (...args) => {
+            const named = typeof args[args.length - 1] === 'object' ? args.pop() : undefined;
+            const string = args.pop();
+            const offset = args.pop();
+            const [match, ...captures] = args;
+            const replaced = replacement === null ? match : this.substitute(replacement, match, captures, offset, string, named);
+            if (count < MAX_LISTED_MATCHES) {
+                matches.push({
+                    before: string.substring(Math.max(0, offset - CONTEXT_CHARS), offset),
+                    match,
+                    replaced,
+                    after: string.substring(offset + match.length, offset + match.length + CONTEXT_CHARS)
+                });
+            }
+            count++;
+            return replaced;
+        });
+        return { count, matches, text: newText };
+    }
+
+    /**
+     * Search a stored string as-is, and only when that finds nothing, inside the text a codec
+     * decodes it to. Replacements in decoded text are re-encoded with the same codec.
+     * @returns {{ source: 'raw'|'decoded', codec: string|null, count: number, matches: Array<object>, value: string, error: string|null }|null} null without matches
+     */
+    scanString(raw, re, replacement) {
+        let codec = this.codecManager.detect(raw);
+        let source = 'raw';
+        let text = raw;
+        let result = this.scan(raw, re, replacement);
+        if (result.count === 0) {
+            if (!codec) return null;
+            try {
+                text = codec.decode(raw);
+            } catch (e) {
+                return null;
+            }
+            result = this.scan(text, re, replacement);
+            if (result.count === 0) return null;
+            source = 'decoded';
+        }
+
+        let value = raw;
+        let error = null;
+        if (replacement !== null && result.text !== text) {
+            if (source === 'raw') {
+                value = result.text;
+                // Editing the encoded text must still leave something the codec can read
+                if (codec && codec.canDecode(value) === 0) {
+                    error = `Replacement leaves invalid ${codec.displayName}`;
+                    value = raw;
+                }
+            } else {
+                try {
+                    value = codec.encode(result.text);
+                    // Codecs hand back their input when it no longer parses (e.g. broken JSON)
+                    if (codec.canDecode(value) === 0 || codec.decode(value) !== result.text) {
+                        error = `Replacement leaves invalid ${codec.displayName}`;
+                        value = raw;
+                    }
+                } catch (e) {
+                    error = `Re-encoding as ${codec.displayName} failed: ${e.message}`;
+                    value = raw;
+                }
+            }
+        }
+        return { source, codec: source === 'decoded' ? codec.displayName : null, count: result.count, matches: result.matches, value, error };
+    }
+
+    /**
+     * Search every string inside a structured IndexedDB value.
+     * @returns {{ fields: Array<object>, value: any }} Fields carry their property path, as text and as `segments`,
+     *   and the string they were found in as `from`
+     */
+    scanStructured(value, re, replacement, path = '', segments = []) {
+        if (typeof value === 'string') {
+            const result = this.scanString(value, re, replacement);
+            return result ? { fields: [{ path, segments, from: value, ...result }], value: result.value } : { fields: [], value };
+        }
+        if (!value || typeof value !== 'object') return { fields: [], value };
+
+        const fields = [];
+        const copy = Array.isArray(value) ? [] : {};
+        Object.entries(value).forEach(([prop, child]) => {
+            const childPath = Array.isArray(value) ? `${path}[${prop}]` : (path ? `${path}.${prop}` : prop);
+            const result = this.scanStructured(child, re, replacement, childPath, [...segments, prop]);
+            fields.push(...result.fields);
+            copy[prop] = result.value;
+        });
+        return { fields, value: fields.length > 0 ? copy : value };
+    }
+
+    /**
+     * Everything the popup can reach for the current page and frame.
+     * @param {string[]} storages Keys of SEARCHABLE_STORAGES
+     */
+    async collect(storages) {
+        const records = [];
+
+        if (storages.includes('cookie')) {
+            const cookies = await this.cookiesManager.getAll();
+            cookies.forEach(cookie => records.push({
+                storage: 'cookie', location: `${cookie.domain}${cookie.path}`, key: cookie.name, value: cookie.value, item: cookie
+            }));
+        }
+
+        for (const type of ['localStorage', 'sessionStorage']) {
+            if (!storages.includes(type)) continue;
+            const items = await this.managers[type].getAll();
+            items.forEach(item => records.push({ storage: type, location: type, key: item.key, value: item.value, item }));
+        }
+
+        if (storages.includes('indexedDB')) {
+            const dbs = await this.indexedDBManager.getDatabases();
+            for (const db of dbs) {
+                if (db.error) {
+                    records.push({ storage: 'indexedDB', location: db.name, key: '', value: null, item: null, readError: `Could not open the database: ${db.error}` });
+                    continue;
+                }
+                for (const storeName of db.stores) {
+                    const location = `${db.name} / ${storeName}`;
+                    // Page by page rather than getStoreData(), which hands back a partial store on failure
+                    let after = null;
+                    let read = 0;
+                    do {
+                        let page;
+                        try {
+                            page = await this.indexedDBManager.getStorePage(db.name, storeName, { after });
+                        } catch (e) {
+                            records.push({
+                                storage: 'indexedDB', location, key: '', value: null, item: null,
+                                readError: `Reading stopped after ${read} record${read === 1 ? '' : 's'} (${e.message}); the rest of this store was not searched`
+                            });
+                            break;
+                        }
+                        page.data.forEach(entry => records.push({
+                            storage: 'indexedDB',
+                            location,
+                            key: entry.key,
+                            value: entry.value,
+                            item: { dbName: db.name, storeName, key: entry.key }
+                        }));
+                        read += page.data.length;
+                        after = page.next;
+                    } while (after);
+                }
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * @param {string[]} storages Keys of SEARCHABLE_STORAGES
+     * @param {string} pattern
+     * @param {{ regex: boolean, caseSensitive: boolean }} options
+     * @param {string|null} replacement null to only search
+     * @returns {Promise<Array<{ id: number, storage: string, location: string, key: any, newKey: any, keyMatches: object|null, fields: Array<object>, value: any, newValue: any, error: string|null, item: object, readError?: boolean }>>}
+     *   Hits with `readError` stand for a database or store that could not be read in full, not a match
+     */
+    async search(storages, pattern, options, replacement = null) {
+        const re = this.compile(pattern, options);
+        // Outside regex mode "$" in the replacement is literal
+        const replacementText = replacement === null || options.regex ? replacement : replacement.replace(/\$/g, '$$$$');
+        const records = await this.collect(storages);
+        const hits = [];
+
+        records.forEach(record => {
+            // A store that could not be read in full is listed, so missing matches are not silent
+            if (record.readError) {
+                hits.push({
+                    id: hits.length, storage: record.storage, location: record.location, key: record.key, newKey: record.key,
+                    keyMatches: null, fields: [], value: record.value, newValue: record.value, error: record.readError, item: record.item,
+                    readError: true
+                });
+                return;
+            }
+            const keyText = typeof record.key === 'string' ? record.key : JSON.stringify(record.key);
+            const keyScan = this.scan(keyText, re, replacementText);
+            const valueScan = record.storage === 'indexedDB'
+                ? this.scanStructured(record.value, re, replacementText)
+                : (() => {
+                    const result = this.scanString(record.value, re, replacementText);
+                    return result ? { fields: [{ path: '', ...result }], value: result.value } : { fields: [], value: record.value };
+                })();
+            if (keyScan.count === 0 && valueScan.fields.length === 0) return;
+
+            const errors = valueScan.fields.filter(f => f.error).map(f => f.path ? `${f.path}: ${f.error}` : f.error);
+            let newKey = record.key;
+            if (keyScan.count > 0 && replacement !== null && keyScan.text !== keyText) {
+                // IndexedDB keys live inside the value or the store's key generator
+                if (record.storage === 'indexedDB') errors.push('IndexedDB keys are not renamed');
+                else if (!keyScan.text) errors.push('Replacement leaves an empty key');
+                else newKey = keyScan.text;
+            }
+
+            hits.push({
+                id: hits.length,
+                storage: record.storage,
+                location: record.location,
+                key: record.key,
+                newKey,
+                keyMatches: keyScan.count > 0 ? keyScan : null,
+                fields: valueScan.fields,
+                value: record.value,
+                newValue: valueScan.value,
+                error: errors.length > 0 ? errors.join('; ') : null,
+                item: record.item
+            });
+        });
+
+        if (replacement !== null) await this._checkRenames(hits, records);
+        return hits;
+    }
+
+    // A rename must not land on a key that exists or that another rename produces
+    async _checkRenames(hits, records) {
+        const slot = (storage, location, key) => `${storage}|${location}|${key}`;
+        const taken = new Set(records.map(r => slot(r.storage, r.location, r.key)));
+        const renamed = new Set();
+
+        for (const hit of hits) {
+            if (hit.error || hit.newKey === hit.key) continue;
+            const target = slot(hit.storage, hit.location, hit.newKey);
+            if (taken.has(target) || renamed.has(target)) {
+                hit.error = `Key "${hit.newKey}" already exists`;
+                continue;
+            }
+            if (hit.storage === 'cookie' && await this.cookieLocksManager.find(hit.item)) {
+                hit.error = 'Locked cookies cannot be renamed; unlock it first';
+                continue;
+            }
+            renamed.add(target);
+        }
+    }
+
+    /**
+     * Write every hit without an error. Each step is undone in reverse order if a later one fails.
+     * @returns {Promise<number>} Number of records written
+     */
+    async replaceAll(hits) {
+        const steps = this._steps(hits.filter(hit => !hit.error && (hit.newKey !== hit.key || hit.newValue !== hit.value)));
+        const applied = [];
+        try {
+            for (const step of steps) {
+                await step.apply();
+                applied.push(step);
+            }
+        } catch (e) {
+            const rollbackErrors = [];
+            for (const step of applied.reverse()) {
+                try {
+                    await step.undo();
+                } catch (undoError) {
+                    rollbackErrors.push(`${step.label}: ${undoError.message}`);
+                }
+            }
+            let message = `Replace failed: ${e.message}. ${applied.length} completed step${applied.length === 1 ? ' was' : 's were'} rolled back.`;
+            if (rollbackErrors.length > 0) message += `\nRollback failed for:\n${rollbackErrors.join('\n')}`;
+            throw new Error(message);
+        }
+        return steps.reduce((sum, step) => sum + step.records, 0);
+    }
+
+    _steps(hits) {
+        const steps = [];
+
+        // One batch per Web Storage area; the page itself rolls a failed batch back
+        ['localStorage', 'sessionStorage'].forEach(type => {
+            const group = hits.filter(hit => hit.storage === type);
+            if (group.length === 0) return;
+            const manager = this.managers[type];
+            const forward = { set: [], remove: [] };
+            const backward = { set: [], remove: [] };
+            group.forEach(hit => {
+                forward.set.push([hit.newKey, hit.newValue]);
+                backward.set.push([hit.key, hit.value]);
+                if (hit.newKey !== hit.key) {
+                    forward.remove.push(hit.key);
+                    backward.remove.push(hit.newKey);
+                }
+            });
+            steps.push({
+                label: type,
+                records: group.length,
+                apply: () => manager.batch(forward),
+                undo: () => manager.batch(backward)
+            });
+        });
+
+        // Records arrive here JSON-serialised, so only the matched strings are sent back and patched
+        // into the live record; putting the copy would flatten its Dates, Blobs and typed arrays
+        hits.filter(hit => hit.storage === 'indexedDB').forEach(hit => {
+            const { dbName, storeName, key } = hit.item;
+            const patches = hit.fields
+                .filter(f => f.value !== f.from)
+                .map(f => ({ path: f.segments, from: f.from, to: f.value }));
+            if (patches.length === 0) return;
+            const reverse = patches.map(p => ({ path: p.path, from: p.to, to: p.from })).reverse();
+            steps.push({
+                label: `${dbName} / ${storeName} ${JSON.stringify(key)}`,
+                records: 1,
+                apply: () => this.indexedDBManager.patchItem(dbName, storeName, key, patches),
+                undo: () => this.indexedDBManager.patchItem(dbName, storeName, key, reverse)
+            });
+        });
+
+        hits.filter(hit => hit.storage === 'cookie').forEach(hit => {
+            const original = hit.item;
+            const updated = { ...original, name: hit.newKey, value: hit.newValue };
+            const write = async (cookie) => {
+                // Move any lock along first, or background.js would revert the write
+                await this.cookieLocksManager.syncValue(cookie);
+                const result = await this.cookiesManager.set(cookie);
+                if (!result) throw new Error(`Chrome rejected cookie "${cookie.name}"`);
+            };
+            steps.push({
+                label: `cookie ${original.name} (${hit.location})`,
+                records: 1,
+                apply: async () => {
+                    await write(updated);
+                    if (updated.name !== original.name) await this.cookiesManager.delete(original);
+                },
+                undo: async () => {
+                    await write(original);
+                    if (updated.name !== original.name) await this.cookiesManager.delete(updated);
+                }
+            });
+        });
+
+        return steps;
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Storage Usage Module
+ * Byte accounting for localStorage/sessionStorage the way Chrome charges it against the quota.
+ */
+
+// Chrome stores keys and values as UTF-16 and caps each storage area at 10 MiB of it,
+// i.e. the "5 MB" limit is 5,242,880 characters. Going past it throws QuotaExceededError.
+export const WEB_STORAGE_QUOTA = 10 * 1024 * 1024;
+export const BYTES_PER_CODE_UNIT = 2;
+
+// Share of the quota at which an origin is flagged as close to it
+const WARN_RATIO = 0.8;
+
+export class StorageUsage {
+    /**
+     * UTF-16 bytes of key + value. String length counts code units, so characters
+     * outside the BMP (emoji, some CJK) correctly count as 4 bytes.
+     */
+    bytes(item) {
+        const key = item.key !== undefined ? item.key : item.name;
+        return (String(key ?? '').length + String(item.value ?? '').length) * BYTES_PER_CODE_UNIT;
+    }
+
+    format(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
+    level(bytes) {
+        if (bytes >= WEB_STORAGE_QUOTA) return 'over';
+        if (bytes >= WEB_STORAGE_QUOTA * WARN_RATIO) return 'near';
+        return 'ok';
+    }
+
+    /**
+     * @param {Array<{ key: string, value: string }>} items Every key in the storage area
+     * @param {number} topN How many of the largest keys to return
+     */
+    report(items, topN = 5) {
+        const sized = items.map(item => ({ item, bytes: this.bytes(item) }))
+            .sort((a, b) => b.bytes - a.bytes);
+        const total = sized.reduce((sum, entry) => sum + entry.bytes, 0);
+        const headroom = Math.max(0, WEB_STORAGE_QUOTA - total);
+
+        return {
+            count: items.length,
+            total,
+            quota: WEB_STORAGE_QUOTA,
+            headroom,
+            // Longest value a new one-character key could still hold
+            headroomChars: Math.max(0, Math.floor(headroom / BYTES_PER_CODE_UNIT) - 1),
+            level: this.level(total),
+            top: sized.slice(0, topN)
+        };
+    }
+}
@@ -50,8 +50,34 @@ const cacheManager = new CacheManager();
 const codecManager = new CodecManager();
 import { PageVariablesManager } from './modules/PageVariablesManager.js';
 const pageVariablesManager = new PageVariablesManager();
+import { CookieImporter } from './modules/CookieImporter.js';
+const cookieImporter = new CookieImporter();
+import { CookieAuditor, SEVERITIES } from './modules/CookieAuditor.js';
+const cookieAuditor = new CookieAuditor();
+import { CookieLocksManager } from './modules/CookieLocksManager.js';
+const cookieLocksManager = new CookieLocksManager();
+import { CookieProfilesManager } from './modules/CookieProfilesManager.js';
+const cookieProfilesManager = new CookieProfilesManager(cookiesManager, cookieLocksManager);
+import { CookieRequestSimulator } from './modules/CookieRequestSimulator.js';
+const cookieRequestSimulator = new CookieRequestSimulator(cookiesManager);
+import { CookieLimits, MAX_COOKIE_BYTES, MAX_COOKIES_PER_DOMAIN, PURGE_TARGET, SERVER_HEADER_LIMIT } from './modules/CookieLimits.js';
+const cookieLimits = new CookieLimits(cookieRequestSimulator);
+import { CookieTracerManager } from './modules/CookieTracerManager.js';
+const cookieTracerManager = new CookieTracerManager();
+import { CookieForm } from './components/CookieForm.js';
+const cookieForm = new CookieForm(cookiesManager);
+import { KeyTree } from './components/KeyTree.js';
+import { StorageMonitor } from './modules/StorageMonitor.js';
+const storageMonitor = new StorageMonitor();
+import { StorageUsage } from './modules/StorageUsage.js';
+const storageUsage = new StorageUsage();
+import { StorageImporter, IMPORT_MODES } from './modules/StorageImporter.js';
+const storageImporter = new StorageImporter();
+import { StorageSearch, SEARCHABLE_STORAGES } from './modules/StorageSearch.js';
+const storageSearch = new StorageSearch({ codecManager, cookiesManager, cookieLocksManager, localStorageManager, sessionStorageManager, indexedDBManager });
 let editor = null;
 let currentTabId = null;
+let currentFrameId = 0; // Frame inspected by the frame-aware views
 let currentOrigin = null;
 
 // --- Web Worker Manager for Codecs ---
@@ -82,8 +108,12 @@ function decodeAsync(payload, codecName) {
     });
 }
 
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 // --- Modal Helper: New Item ---
-function showNewItemModal(title, fields, onSave) {
+function showNewItemModal(title, fields, onSave, saveLabel = 'Add') {
     const overlay = document.createElement('div');
     overlay.style.cssText = `
         position: fixed; top: 0; left: 0; width: 100%; height: 100%;
@@ -121,7 +151,7 @@ function showNewItemModal(title, fields, onSave) {
         </div>
         <div style="padding: 16px; border-top: 1px solid var(--border-color); display: flex; justify-content: flex-end; gap: 8px;">
             <button id="new-item-cancel" style="padding: 6px 12px; border: 1px solid var(--border-color); background: transparent; color: var(--text-primary); border-radius: 4px; cursor: pointer;">Cancel</button>
-            <button id="new-item-save" style="padding: 6px 12px; border: 1px solid transparent; background: var(--accent-primary); color: var(--accent-text); border-radius: 4px; cursor: pointer;">Add</button>
+            <button id="new-item-save" style="padding: 6px 12px; border: 1px solid transparent; background: var(--accent-primary); color: var(--accent-text); border-radius: 4px; cursor: pointer;">${saveLabel}</button>
         </div>
     `;
 
@@ -145,6 +175,83 @@ function showNewItemModal(title, fields, onSave) {
     }, 10);
 }
 
+// --- Modal Helper: Panel ---
+// A larger modal with a scrollable body and a footer for custom buttons.
+function showPanelModal(title, width = '640px') {
+    const overlay = document.createElement('div');
+    overlay.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.5); z-index: 2000;
+        display: flex; justify-content: center; align-items: center;
+    `;
+
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+        background: var(--bg-secondary); border: 1px solid var(--border-color);
+        border-radius: 8px; width: ${width}; max-width: 95%; max-height: 90%;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+        display: flex; flex-direction: column;
+    `;
+
+    modal.innerHTML = `
+        <div style="padding: 16px; border-bottom: 1px solid var(--border-color); font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+        <div class="panel-body" style="padding: 16px; overflow: auto; min-height: 0; flex: 1; font-size: 13px;"></div>
+        <div class="panel-footer" style="padding: 16px; border-top: 1px solid var(--border-color); display: flex; justify-content: flex-end; gap: 8px;">
+            <button class="panel-close" style="padding: 6px 12px; border: 1px solid var(--border-color); background: transparent; color: var(--text-primary); border-radius: 4px; cursor: pointer;">Close</button>
+        </div>
+    `;
+    modal.firstElementChild.textContent = title;
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    const close = () => overlay.remove();
+    modal.querySelector('.panel-close').onclick = close;
+
+    return {
+        overlay,
+        body: modal.querySelector('.panel-body'),
+        footer: modal.querySelector('.panel-footer'),
+        close,
+        // Add a primary action button before Close
+        addButton: (label, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = 'padding: 6px 12px; border: 1px solid transparent; background: var(--accent-primary); color: var(--accent-text); border-radius: 4px; cursor: pointer;';
+            btn.onclick = onClick;
+            modal.querySelector('.panel-footer').insertBefore(btn, modal.querySelector('.panel-close'));
+            return btn;
+        }
+    };
+}
+
+// --- File Helper: Save Text ---
+async function saveTextFile(text, suggestedName, description, mimeType, extensions) {
+    try {
+        const handle = await window.showSaveFilePicker({
+            suggestedName,
+            types: [{
+                description,
+                accept: { [mimeType]: extensions }
+            }],
+        });
+        const writable = await handle.createWritable();
+        await writable.write(text);
+        await writable.close();
+    } catch (e) {
+        // Fallback for browsers without File System Access API
+        if (e.name !== 'AbortError') {
+            const blob = new Blob([text], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = suggestedName;
+            a.click();
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
 // --- Context Menu Helper for Addition ---
 function setupAddContextMenu(container, addItems = []) {
     // Cleanup old listeners on this container if they exist
@@ -158,45 +265,54 @@ function setupAddContextMenu(container, addItems = []) {
     const handler = (e) => {
         // Only trigger if we're NOT clicking a row (or let grid handle row clicks)
         if (e.target.closest('.data-row')) return;
-
-        e.preventDefault();
-
-        // Cleanup any existing menu
-        const old = document.querySelector('.custom-context-menu');
-        if (old) old.remove();
-
-        const menu = document.createElement('div');
-        menu.className = 'custom-context-menu';
-        menu.style.display = 'block';
-        menu.style.left = `${e.clientX}px`;
-        menu.style.top = `${e.clientY}px`;
-
-        addItems.forEach(item => {
-            const div = document.createElement('div');
-            div.className = 'context-menu-item';
-            div.textContent = item.label;
-            div.onclick = () => {
-                item.action();
-                menu.remove();
-            };
-            menu.appendChild(div);
-        });
-
-        document.body.appendChild(menu);
-
-        const closeMenu = (ev) => {
-            if (!menu.contains(ev.target)) {
-                if (menu.parentNode) menu.remove();
-                document.removeEventListener('click', closeMenu);
-            }
-        };
-        setTimeout(() => document.addEventListener('click', closeMenu), 10);
+        openContextMenu(e, addItems);
     };
 
     container.addEventListener('contextmenu', handler);
     container._hasAddMenuListener = handler;
 }
 
+/**
+ * Show a context menu at the event position.
+ * @param {MouseEvent} e
+ * @param {Array<{ label: string, action: () => void, danger?: boolean }>} items
+ */
+function openContextMenu(e, items) {
+    e.preventDefault();
+
+    // Cleanup any existing menu
+    const old = document.querySelector('.custom-context-menu');
+    if (old) old.remove();
+
+    const menu = document.createElement('div');
+    menu.className = 'custom-context-menu';
+    menu.style.display = 'block';
+    menu.style.left = `${e.clientX}px`;
+    menu.style.top = `${e.clientY}px`;
+
+    items.forEach(item => {
+        const div = document.createElement('div');
+        div.className = 'context-menu-item';
+        if (item.danger) div.classList.add('danger');
+        div.textContent = item.label;
+        div.onclick = () => {
+            item.action();
+            menu.remove();
+        };
+        menu.appendChild(div);
+    });
+
+    document.body.appendChild(menu);
+
+    const closeMenu = (ev) => {
+        if (!menu.contains(ev.target)) {
+            if (menu.parentNode) menu.remove();
+            document.removeEventListener('click', closeMenu);
+        }
+    };
+    setTimeout(() => document.addEventListener('click', closeMenu), 10);
+}
+
 // --- Image Preview Helper ---
 function showImagePreview(src) {
     const modal = document.getElementById('image-modal');
@@ -377,6 +493,76 @@ function setupNavigation() {
     });
 }
 
+const FRAME_AWARE_VIEWS = ['local-storage', 'session-storage', 'indexed-db', 'cache', 'file-system', 'quota', 'service-workers', 'find-replace'];
+
+/**
+ * Fill the header frame picker for a frame-aware view, or hide it.
+ * @returns {Promise<{ frameId: number, url: string }|null>} The selected frame
+ */
+async function renderFramePicker(tabId, viewName) {
+    const actions = document.querySelector('.header .actions');
+    let picker = actions.querySelector('#frame-picker');
+    if (!picker) {
+        picker = document.createElement('select');
+        picker.id = 'frame-picker';
+        picker.className = 'toolbar-btn';
+        picker.title = 'Frame to inspect';
+        picker.style.maxWidth = '260px';
+        actions.appendChild(picker);
+    }
+
+    if (!viewName) {
+        picker.style.display = 'none';
+        return null;
+    }
+
+    let frames = [];
+    try {
+        frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+    } catch (e) {
+        // Tab closed or not ready
+    }
+    if (!frames.some(f => f.frameId === currentFrameId)) currentFrameId = 0;
+    if (frames.length <= 1) {
+        picker.style.display = 'none';
+        return frames[0] || null;
+    }
+
+    // Order frames as a tree, children under their parent
+    const children = new Map();
+    frames.forEach(f => {
+        if (!children.has(f.parentFrameId)) children.set(f.parentFrameId, []);
+        children.get(f.parentFrameId).push(f);
+    });
+    const ordered = [];
+    const walk = (parentId, depth) => (children.get(parentId) || []).forEach(f => {
+        ordered.push({ ...f, depth });
+        walk(f.frameId, depth + 1);
+    });
+    walk(-1, 0);
+
+    picker.innerHTML = '';
+    ordered.forEach(f => {
+        const option = document.createElement('option');
+        option.value = f.frameId;
+        let origin = f.url;
+        try { origin = new URL(f.url).origin; } catch (e) { }
+        if (origin === 'null') origin = f.url.split(/[?#]/)[0];
+        option.textContent = `${'\u00a0\u00a0'.repeat(f.depth)}${f.frameId === 0 ? 'Top' : `Frame ${f.frameId}`}: ${origin}`;
+        option.title = f.url;
+        option.disabled = isRestrictedPage(f.url) && !f.url.startsWith('about:');
+        option.selected = f.frameId === currentFrameId;
+        picker.appendChild(option);
+    });
+    picker.style.display = '';
+    picker.onchange = () => {
+        currentFrameId = parseInt(picker.value, 10);
+        loadView(viewName);
+    };
+
+    return frames.find(f => f.frameId === currentFrameId) || null;
+}
+
 async function loadView(viewName) {
     const mountPoint = document.getElementById('content-mount');
     mountPoint.innerHTML = '<div class="empty-state">Loading...</div>';
@@ -403,9 +589,15 @@ async function loadView(viewName) {
             return;
         }
 
+        // Frame-aware views inspect the frame chosen in the header picker
+        const frameAware = FRAME_AWARE_VIEWS.includes(viewName);
+        const frame = await renderFramePicker(tabId, frameAware ? viewName : null);
+        // about:blank and srcdoc frames share their parent's origin
+        if (frameAware && frame && !frame.url.startsWith('about:')) url = frame.url;
+
         // --- Restricted Page Check ---
         const restricted = isRestrictedPage(url);
-        const injectionRequired = ['cache', 'file-system', 'quota', 'service-workers', 'page-vars', 'deep-storage', 'local-storage', 'session-storage', 'indexed-db'].includes(viewName);
+        const injectionRequired = ['cache', 'file-system', 'quota', 'service-workers', 'page-vars', 'deep-storage', 'local-storage', 'session-storage', 'indexed-db', 'find-replace'].includes(viewName);
 
         if (restricted && injectionRequired) {
             renderRestrictedView(mountPoint, viewName);
@@ -425,19 +617,25 @@ async function loadView(viewName) {
         // cookiesManager doesn't need connect() as it uses chrome.cookies (background)
         // debuggerManager uses cdp (attach)
 
-        if (viewName === 'cache') await cacheManager.connect(tabId);
-        if (viewName === 'file-system' || viewName === 'quota' || viewName === 'service-workers') await fsManager.connect(tabId);
+        if (viewName === 'cache') await cacheManager.connect(tabId, currentFrameId);
+        if (viewName === 'file-system' || viewName === 'quota' || viewName === 'service-workers') await fsManager.connect(tabId, currentFrameId);
         if (viewName === 'page-vars') pageVariablesManager.setTabId(tabId);
+        if (viewName === 'cookies') cookieTracerManager.setTabId(tabId);
 
         // Cookies manager setup
         await cookiesManager.setUrl(url);
         if (viewName !== 'deep-storage') {
+            if (cookieNetworkTracer.recording) await cookieNetworkTracer.stop().catch(() => { });
             debuggerManager.detach().catch(() => { });
         }
+        if (viewName !== 'cookies') {
+            stopCookieFeed();
+        }
+        stopStorageMutationFeed();
 
         switch (viewName) {
             case 'cookies':
-                await renderCookies(mountPoint, url);
+                await renderCookies(mountPoint, url, tabId);
                 break;
             case 'local-storage':
                 await renderPageStorage(mountPoint, tabId, localStorageManager, 'localStorage');
@@ -466,6 +664,9 @@ async function loadView(viewName) {
             case 'page-vars':
                 await renderPageVariables(mountPoint);
                 break;
+            case 'find-replace':
+                await renderFindReplace(mountPoint, tabId);
+                break;
             default:
                 mountPoint.innerHTML = `<div class="empty-state">View ${viewName} not implemented yet.</div>`;
         }
@@ -520,6 +721,19 @@ async function readCache(container, cacheName) {
     }
 }
 
+const COOKIE_SCOPES = {
+    'host-only': { label: 'Host-only', color: 'var(--success)', hint: 'Sent only to this exact host' },
+    'current-subdomain': { label: 'This subdomain', color: 'var(--accent-primary)', hint: 'Domain cookie for this host and its subdomains' },
+    'parent-domain': { label: 'Parent domain', color: 'orange', hint: 'Domain cookie inherited from a parent domain' },
+    'other-host': { label: 'Other host', color: 'var(--text-secondary)', hint: 'Belongs to another host of this site; not sent here' }
+};
+
+function renderCookieScope(scope) {
+    const info = COOKIE_SCOPES[scope];
+    if (!info) return '';
+    return `<span title="${info.hint}" style="color:${info.color}; font-size:11px; cursor:help;">${info.label}</span>`;
+}
+
 function generateDuplicateName(currentName, existingNames) {
     let n = 1;
     let candidate = `${currentName} (${n})`;
@@ -530,14 +744,240 @@ function generateDuplicateName(currentName, existingNames) {
     return candidate;
 }
 
-async function renderCookies(container, url) {
+// --- Bulk Decode Helper ---
+// Decode each selected value with its detected codec and show the results together
+async function showBulkDecode(items, keyOf = (item) => item.name !== undefined ? item.name : item.key) {
+    const results = {};
+    for (const item of items) {
+        let val = item.value;
+        if (typeof val !== 'string') {
+            results[keyOf(item)] = val;
+            continue;
+        }
+        const codec = codecManager.detect(val);
+        if (codec) {
+            try {
+                val = val.length > 100000 ? await decodeAsync(val, codec.name) : codec.decode(val);
+            } catch (e) {
+                val = `[${codec.displayName} decode failed: ${e.message}]`;
+            }
+        }
+        // Nest decoded JSON instead of showing it as an escaped string
+        try { val = JSON.parse(val); } catch (e) { }
+        results[keyOf(item)] = val;
+    }
+
+    const text = JSON.stringify(results, null, 2);
+    const panel = showPanelModal(`Decoded ${items.length} Value${items.length === 1 ? '' : 's'}`, '720px');
+    panel.body.innerHTML = `<pre style="white-space: pre-wrap; word-break: break-all; font-size: 12px; margin: 0;"></pre>`;
+    panel.body.firstElementChild.textContent = text;
+    panel.addButton('Copy', () => navigator.clipboard.writeText(text));
+}
+
+// Open a cookie value in the editor, decoding it with its detected codec
+async function editCookieValue(item, onSaved) {
+    const val = item.value;
+    const codec = codecManager.detect(val);
+    let decoded = val;
+    let lang = 'text';
+
+    if (codec) {
+        if (val.length > 100000) {
+            try { decoded = await decodeAsync(val, codec.name); }
+            catch (e) { decoded = codec.decode(val); }
+        } else {
+            decoded = codec.decode(val);
+        }
+        if (typeof decoded === 'string' && (decoded.trim().startsWith('{') || decoded.trim().startsWith('['))) {
+            lang = 'json';
+        }
+    }
+
+    editor.open(decoded, lang, async (newVal, isRaw) => {
+        try {
+            let saveVal = newVal;
+            if (codec && !isRaw) {
+                saveVal = codec.encode(newVal);
+            }
+            const updatedCookie = { ...item, value: saveVal };
+            await writeCookie(updatedCookie);
+            onSaved();
+        } catch (e) {
+            console.error('Failed to set cookie:', e);
+            alert(`Failed to save cookie: ${e.message}`);
+        }
+    }, cookieKey(item), val);
+}
+
+// Cookies view sections that stay open across re-renders
+const openCookieSections = new Set();
+let cookieFilter = '';
+
+// Live cookie change feed (streamed from background.js while the Cookies view is open)
+const COOKIE_CHANGE_LOG_LIMIT = 500;
+// Minimum gap between trace re-reads triggered by live changes ("Set By" column)
+const TRACE_REFRESH_MS = 1000;
+const cookieChangeLog = [];
+let unsubscribeCookieChanges = null;
+
+function stopCookieFeed() {
+    if (unsubscribeCookieChanges) {
+        unsubscribeCookieChanges();
+        unsubscribeCookieChanges = null;
+    }
+}
+
+function cookieKey(c) {
+    const partition = c.partitionKey ? c.partitionKey.topLevelSite : '';
+    return `${c.name}|${c.domain}|${c.path}|${partition}`;
+}
+
+// Every cookie write from the popup goes through here. A lock on the cookie is moved to the
+// new value first; otherwise background.js would put the locked one straight back.
+async function writeCookie(cookie) {
+    await cookieLocksManager.syncValue(cookie);
+    return cookiesManager.set(cookie);
+}
+
+/**
+ * Delete cookies from the popup. Locked ones would be recreated at once, so their locks
+ * are dropped first, after asking.
+ * @returns {Promise<boolean>} false when the user kept the locks and nothing was deleted
+ */
+async function deleteCookies(cookies) {
+    const locked = [];
+    for (const cookie of cookies) {
+        if (await cookieLocksManager.find(cookie)) locked.push(cookie);
+    }
+    if (locked.length > 0) {
+        const names = locked.map(c => `"${c.name}"`).join(', ');
+        const message = locked.length === 1
+            ? `Cookie ${names} is locked and would be re-added right away. Unlock it and delete?`
+            : `Cookies ${names} are locked and would be re-added right away. Unlock them and delete?`;
+        if (!confirm(message)) return false;
+        for (const cookie of locked) await cookieLocksManager.release(cookie);
+    }
+    for (const cookie of cookies) await cookiesManager.delete(cookie);
+    return true;
+}
+
+async function renderCookies(container, url, tabId) {
+    const stores = await cookiesManager.getStores();
+    if (!cookiesManager.storeId || !stores.some(st => st.id === cookiesManager.storeId)) {
+        // Default to the jar the inspected tab actually uses
+        const tabStore = stores.find(st => st.tabs.some(t => t.id === tabId));
+        cookiesManager.setStoreId(tabStore ? tabStore.id : null);
+    }
+
     const cookies = await cookiesManager.getAll();
     const cookieNames = new Set(cookies.map(c => c.name));
+    cookies.forEach(c => c.scope = cookiesManager.getScope(c));
 
-    const grid = new DataGrid(container, {
+    const site = cookiesManager.getSite();
+    const locks = await cookieLocksManager.list(site);
+    const lockedKeys = new Set(locks.map(l => cookieKey(l.cookie)));
+
+    // --- Write Tracing ---
+    const tracing = !isRestrictedPage(url) && !!currentOrigin && await cookieTracerManager.isEnabled(currentOrigin);
+    const loadTrace = async () => {
+        try {
+            return await cookieTracerManager.getRecords();
+        } catch (e) {
+            return [];
+        }
+    };
+    const annotateSetBy = (cookie, trace) => {
+        const record = cookieTracerManager.latestFor(trace, cookie);
+        // HttpOnly cookies can only come from Set-Cookie headers
+        if (!record || cookie.httpOnly) return cookie;
+        cookie.setByRecord = record;
+        cookie.setBy = record.caller ? `${record.caller.url}:${record.caller.line}:${record.caller.column}` : record.api;
+        return cookie;
+    };
+    let trace = [];
+    if (tracing) {
+        trace = await loadTrace();
+        cookies.forEach(c => annotateSetBy(c, trace));
+    }
+
+    container.innerHTML = `
+        <div class="view-toolbar">
+            <span class="section-meta" title="Registrable domain (eTLD+1) from the Public Suffix List">Site: ${cookiesManager.getSite()}</span>
+            <select id="cookie-store-select" class="toolbar-btn" title="Cookie store"></select>
+            <span id="cookie-store-tabs" class="section-meta" style="max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+            <button class="toolbar-btn" data-section="profiles">Profiles</button>
+            <button class="toolbar-btn" data-section="changes">Change Log <span id="cookie-change-count">(${cookieChangeLog.length})</span></button>
+            <button class="toolbar-btn" data-section="audit">Audit</button>
+            <button class="toolbar-btn" data-section="limits">Limits</button>
+            <button class="toolbar-btn" data-section="partitions">Partitions</button>
+            <button class="toolbar-btn" data-section="locks">Locks (${locks.length})</button>
+            <button class="toolbar-btn" data-section="simulator" title="Which cookies would be sent with a request?">Request Simulator</button>
+            <button class="toolbar-btn${tracing ? ' active' : ''}" id="cookie-trace-btn" title="Record a stack trace for every document.cookie and cookieStore.set write on ${escapeHtml(currentOrigin || '')}. Reload the page to catch writes made while it loads.">Trace Writes</button>
+            <button class="toolbar-btn" id="cookie-import-btn">Import...</button>
+            <button class="toolbar-btn" id="cookie-expiry-btn" title="Applies to selected cookies, or to all filtered cookies when none are selected">Expiry...</button>
+            <input id="cookie-filter" type="search" placeholder="Filter cookies..." class="toolbar-btn" style="margin-left: auto; width: 160px; text-align: left;">
+        </div>
+        <div id="cookie-section-profiles" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-changes" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-audit" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-limits" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-partitions" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-locks" class="view-section" style="display:none;"></div>
+        <div id="cookie-section-simulator" class="view-section" style="display:none;"></div>
+        <div id="cookies-grid"></div>
+    `;
+
+    container.querySelector('#cookie-import-btn').onclick = () => showCookieImportModal();
+    container.querySelector('#cookie-trace-btn').onclick = async () => {
+        if (!currentOrigin || isRestrictedPage(url)) {
+            alert('Write tracing is not available on this page.');
+            return;
+        }
+        try {
+            if (tracing) await cookieTracerManager.disable(currentOrigin);
+            else await cookieTracerManager.enable(currentOrigin);
+        } catch (e) {
+            alert('Failed to toggle tracing: ' + e.message);
+        }
+        loadView('cookies');
+    };
+
+    // --- Cookie Store Picker ---
+    const storeSelect = container.querySelector('#cookie-store-select');
+    stores.forEach(store => {
+        const option = document.createElement('option');
+        option.value = store.id;
+        option.textContent = `${cookieStoreLabel(store)} (${store.tabs.length} tab${store.tabs.length === 1 ? '' : 's'})`;
+        option.title = store.tabs.map(t => t.title).join('\n');
+        option.selected = store.id === cookiesManager.storeId;
+        storeSelect.appendChild(option);
+    });
+    const storeTabs = container.querySelector('#cookie-store-tabs');
+    const selectedStore = stores.find(st => st.id === cookiesManager.storeId);
+    if (selectedStore) {
+        storeTabs.textContent = selectedStore.tabs.map(t => t.title || t.url).join(', ');
+        storeTabs.title = selectedStore.tabs.map(t => `${t.title}\n  ${t.url}`).join('\n');
+    }
+    if (stores.length < 2) {
+        storeSelect.title = 'Allow this extension in Incognito to manage incognito cookie stores';
+    }
+    storeSelect.onchange = () => {
+        cookiesManager.setStoreId(storeSelect.value);
+        loadView('cookies');
+    };
+
+    const grid = new DataGrid(container.querySelector('#cookies-grid'), {
         defaultSortCol: 'name',
+        rowKey: cookieKey,
         columns: [
-            { key: 'name', label: 'Name', width: '120px' },
+            {
+                key: 'name',
+                label: 'Name',
+                width: '120px',
+                render: (val, item) => lockedKeys.has(cookieKey(item))
+                    ? `<span title="Locked: changes are reverted" style="margin-right:4px; cursor:help;">🔒</span>${escapeHtml(val)}`
+                    : escapeHtml(val)
+            },
             {
                 key: 'value',
                 label: 'Value',
@@ -545,6 +985,12 @@ async function renderCookies(container, url) {
                 render: (val, item) => renderValueWithPreviews(val, item)
             },
             { key: 'domain', label: 'Domain', width: '100px' },
+            {
+                key: 'scope',
+                label: 'Scope',
+                width: '110px',
+                render: (val) => renderCookieScope(val)
+            },
             {
                 key: 'httpOnly',
                 label: 'HTTP',
@@ -562,44 +1008,17 @@ async function renderCookies(container, url) {
                 label: 'CHIPS',
                 width: '60px',
                 render: (val) => val ? `<span title="Partitioned cookie (CHIPS)" style="cursor:help;">🍪 Yes</span>` : '<span style="color:var(--text-secondary);">No</span>'
-            }
+            },
+            ...(tracing ? [{
+                key: 'setBy',
+                label: 'Set By',
+                width: '140px',
+                render: (val, item) => renderCookieSetBy(item.setByRecord)
+            }] : [])
         ],
-        onEdit: async (item) => {
-            const val = item.value;
-            const codec = codecManager.detect(val);
-            let decoded = val;
-            let lang = 'text';
-
-            if (codec) {
-                if (val.length > 100000) {
-                    try { decoded = await decodeAsync(val, codec.name); }
-                    catch (e) { decoded = codec.decode(val); }
-                } else {
-                    decoded = codec.decode(val);
-                }
-                if (typeof decoded === 'string' && (decoded.trim().startsWith('{') || decoded.trim().startsWith('['))) {
-                    lang = 'json';
-                }
-            }
-
-            editor.open(decoded, lang, async (newVal, isRaw) => {
-                try {
-                    let saveVal = newVal;
-                    if (codec && !isRaw) {
-                        saveVal = codec.encode(newVal);
-                    }
-                    const updatedCookie = { ...item, value: saveVal };
-                    await cookiesManager.set(updatedCookie);
-                    loadView('cookies');
-                } catch (e) {
-                    console.error('Failed to set cookie:', e);
-                    alert(`Failed to save cookie: ${e.message}`);
-                }
-            }, item.name, val);
-        },
+        onEdit: (item) => editCookieValue(item, () => loadView('cookies')),
         onDelete: async (item) => {
-            await cookiesManager.delete(item);
-            loadView('cookies'); // reload
+            if (await deleteCookies([item])) loadView('cookies'); // reload
         },
         onDuplicate: async (item) => {
             try {
@@ -613,125 +1032,1409 @@ async function renderCookies(container, url) {
                 if (item.expirationDate) newCookie.expirationDate = item.expirationDate;
                 else delete newCookie.expirationDate;
 
-                await cookiesManager.set(newCookie);
+                await writeCookie(newCookie);
                 loadView('cookies');
             } catch (e) {
                 console.error('Failed to duplicate cookie:', e);
                 alert(`Duplicate failed: ${e.message}`);
             }
         },
+        rowContextItems: [
+            {
+                label: 'Lock / Unlock Value',
+                action: async (item) => {
+                    const existing = locks.find(l => cookieKey(l.cookie) === cookieKey(item));
+                    if (existing) await cookieLocksManager.unlock(site, existing.id);
+                    else await cookieLocksManager.lock(site, item);
+                    loadView('cookies');
+                }
+            },
+            { label: 'Clone to Domain...', action: (item) => showCookieCloneModal([item]) },
+            ...(tracing ? [
+                { label: 'Show Write History...', action: (item) => showCookieWriteHistory(item) }
+            ] : []),
+            ...(stores.length > 1 ? [
+                { label: 'Copy to Store...', action: (item) => showCopyToStoreModal([item], stores) }
+            ] : [])
+        ],
         extraContextItems: [
             {
                 label: 'Export All (Netscape)',
                 action: async () => {
                     const allCookies = await cookiesManager.getAll();
                     const netscapeStr = cookiesManager.toNetscape(allCookies);
+                    await saveTextFile(netscapeStr, 'cookies.txt', 'Netscape Cookie File', 'text/plain', ['.txt']);
+                }
+            }
+        ],
+        onShowProperties: (item) => cookieForm.open({
+            title: 'Cookie Properties',
+            cookie: item,
+            onSave: async (newCookie) => {
+                const created = await writeCookie(newCookie);
+                if (!created) throw new Error('the cookie was not stored');
+                // Name, domain, path, host-only or partition changes create a separate cookie
+                if (cookieKey(created) !== cookieKey(item)) await deleteCookies([item]);
+                loadView('cookies');
+            }
+        }),
+        onBulkDelete: async (items) => {
+            if (await deleteCookies(items)) loadView('cookies');
+        },
+        onBulkDecode: (items) => showBulkDecode(items),
+        bulkActions: [
+            { label: 'Expiry...', action: (items) => showCookieExpiryModal(items) },
+            { label: 'Clone to Domain...', action: (items) => showCookieCloneModal(items) },
+            ...(stores.length > 1 ? [
+                { label: 'Copy to Store...', action: (items) => showCopyToStoreModal(items, stores) }
+            ] : [])
+        ],
+        filterText: cookieFilter,
+        enableGlobalContextMenu: false // We use setupAddContextMenu now
+    });
+
+    setupAddContextMenu(container, [
+        {
+            label: 'Add New Cookie',
+            action: () => {
+                let currentDomain = '';
+                try { currentDomain = new URL(url).hostname; } catch (e) { }
+
+                cookieForm.open({
+                    title: 'Add New Cookie',
+                    saveLabel: 'Add',
+                    cookie: {
+                        name: 'new_cookie',
+                        value: '',
+                        domain: currentDomain,
+                        hostOnly: true,
+                        path: '/',
+                        secure: url.startsWith('https:'),
+                        sameSite: 'lax'
+                    },
+                    onSave: async (cookie) => {
+                        const created = await writeCookie(cookie);
+                        if (!created) throw new Error('the cookie was not stored');
+                        loadView('cookies');
+                    }
+                });
+            }
+        }
+    ]);
+
+    // Pass raw cookies to grid (don't convert date to string in the object itself)
+    grid.render(cookies);
+
+    // --- Filter & Expiry ---
+    const filterInput = container.querySelector('#cookie-filter');
+    filterInput.value = cookieFilter;
+    filterInput.oninput = () => {
+        cookieFilter = filterInput.value;
+        grid.setFilter(cookieFilter);
+    };
+    container.querySelector('#cookie-expiry-btn').onclick = () => {
+        const selected = grid.getSelectedItems();
+        showCookieExpiryModal(selected.length > 0 ? selected : grid.getVisibleItems());
+    };
+
+    // --- Toolbar Sections ---
+    const sectionRenderers = {
+        profiles: (section) => renderCookieProfiles(section),
+        changes: (section) => renderCookieChangeLog(section),
+        audit: (section) => renderCookieAudit(section, cookies, url, grid),
+        limits: (section) => renderCookieLimits(section, cookies, url, grid),
+        partitions: (section) => renderCookiePartitions(section, url),
+        locks: (section) => renderCookieLocks(section, site),
+        simulator: (section) => renderCookieSimulator(section, url, grid)
+    };
+
+    container.querySelectorAll('.view-toolbar [data-section]').forEach(btn => {
+        const name = btn.dataset.section;
+        const section = container.querySelector(`#cookie-section-${name}`);
+        const show = (open) => {
+            section.style.display = open ? 'block' : 'none';
+            btn.classList.toggle('active', open);
+            if (open) sectionRenderers[name](section);
+        };
+        btn.onclick = () => {
+            if (openCookieSections.has(name)) openCookieSections.delete(name);
+            else openCookieSections.add(name);
+            show(openCookieSections.has(name));
+        };
+        show(openCookieSections.has(name));
+    });
+
+    // --- Live Updates ---
+    // Re-reading the trace runs a script in every frame, so live changes are annotated from the
+    // last trace right away and re-annotated at most once per TRACE_REFRESH_MS from a fresh one
+    const pendingSetBy = new Map();
+    let traceRefreshTimer = null;
+    const refreshSetBy = (cookie) => {
+        pendingSetBy.set(cookieKey(cookie), cookie);
+        if (traceRefreshTimer) return;
+        traceRefreshTimer = setTimeout(async () => {
+            trace = await loadTrace();
+            traceRefreshTimer = null;
+            const batch = [...pendingSetBy.values()];
+            pendingSetBy.clear();
+            batch.forEach(c => {
+                const before = c.setByRecord;
+                annotateSetBy(c, trace);
+                if (c.setByRecord && c.setByRecord.timestamp !== (before && before.timestamp)) grid.upsertItem(c);
+            });
+        }, TRACE_REFRESH_MS);
+    };
+
+    stopCookieFeed();
+    unsubscribeCookieChanges = cookiesManager.subscribeChanges((event) => {
+        cookieChangeLog.unshift(event);
+        if (cookieChangeLog.length > COOKIE_CHANGE_LOG_LIMIT) cookieChangeLog.pop();
+
+        const counter = container.querySelector('#cookie-change-count');
+        if (counter) counter.textContent = `(${cookieChangeLog.length})`;
+        if (openCookieSections.has('changes')) {
+            renderCookieChangeLog(container.querySelector('#cookie-section-changes'));
+        }
+
+        if (event.removed) {
+            // An overwrite is followed by an add event for the new value
+            if (event.cause !== 'overwrite') {
+                pendingSetBy.delete(cookieKey(event.cookie));
+                grid.removeItem(event.cookie);
+            }
+        } else {
+            const cookie = { ...event.cookie, scope: cookiesManager.getScope(event.cookie) };
+            if (tracing) {
+                grid.upsertItem(annotateSetBy(cookie, trace));
+                refreshSetBy(cookie);
+            } else {
+                grid.upsertItem(cookie);
+            }
+        }
+    });
+}
+
+function renderCookieSetBy(record) {
+    if (!record) return '<span style="color:var(--text-secondary);" title="No script write recorded (Set-Cookie header, or set before tracing started)">—</span>';
+    if (!record.caller) return `<span style="color:var(--text-secondary);">${escapeHtml(record.api)}</span>`;
+    const { url, line, column } = record.caller;
+    const file = url.split(/[?#]/)[0].split('/').pop() || url;
+    return `<a href="${escapeHtml(url)}" target="_blank" title="${escapeHtml(`${record.api} at ${url}:${line}:${column}`)}" style="color: var(--accent-primary);">${escapeHtml(file)}:${line}</a>`;
+}
+
+async function showCookieWriteHistory(cookie) {
+    const panel = showPanelModal(`Writes to "${cookie.name}"`, '720px');
+    let records;
+    try {
+        records = (await cookieTracerManager.getRecords()).filter(r => cookieTracerManager.matches(r, cookie)).reverse();
+    } catch (e) {
+        panel.body.innerHTML = `<div style="color: var(--danger);">Failed to read trace: ${escapeHtml(e.message)}</div>`;
+        return;
+    }
+
+    if (records.length === 0) {
+        panel.body.innerHTML = '<div class="section-meta">No script writes recorded. The cookie may come from a Set-Cookie header, or was written before tracing started (reload the page to trace from the start).</div>';
+        return;
+    }
+
+    panel.body.innerHTML = records.map(r => `
+        <div style="border-bottom: 1px solid var(--border-color); padding: 8px 0;">
+            <div style="display: flex; gap: 8px; align-items: baseline;">
+                <strong>${escapeHtml(r.api)}</strong>
+                <span class="section-meta">${new Date(r.timestamp).toLocaleString()}</span>
+                <span style="margin-left: auto;">${renderCookieSetBy(r)}</span>
+            </div>
+            <div style="font-family: monospace; font-size: 11px; margin: 4px 0; word-break: break-all;">${escapeHtml(r.raw)}</div>
+            <pre style="margin: 0; font-size: 11px; color: var(--text-secondary); white-space: pre-wrap;">${escapeHtml(r.stack)}</pre>
+        </div>
+    `).join('');
+}
+
+const AUDIT_SEVERITY_COLORS = {
+    high: 'var(--danger)',
+    medium: 'orange',
+    low: 'var(--accent-primary)',
+    info: 'var(--text-secondary)'
+};
+
+function renderCookieAudit(section, cookies, url, grid) {
+    const report = cookieAuditor.audit(cookies, { url, site: cookiesManager.getSite() });
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Security Audit · ${SEVERITIES.map(sev => `<span style="color:${AUDIT_SEVERITY_COLORS[sev]};">${report.summary[sev]} ${sev}</span>`).join(' · ')}</h4>
+            <div style="display: flex; gap: 8px;">
+                <button class="toolbar-btn" id="audit-export-json">Export JSON</button>
+                <button class="toolbar-btn" id="audit-export-md">Export Markdown</button>
+            </div>
+        </div>
+        <div id="audit-findings" style="max-height: 220px; overflow: auto;"></div>
+    `;
+
+    const list = section.querySelector('#audit-findings');
+    if (report.findings.length === 0) {
+        list.innerHTML = `<div class="section-meta">No issues found in ${report.cookieCount} cookies.</div>`;
+    }
+
+    report.findings.forEach(finding => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.style.cursor = 'pointer';
+        row.title = 'Show cookie in grid';
+        row.innerHTML = `
+            <span style="width: 60px; color: ${AUDIT_SEVERITY_COLORS[finding.severity]}; font-size: 10px; font-weight: 600; text-transform: uppercase;">${finding.severity}</span>
+            <span style="width: 160px; font-family: monospace;" class="row-main">${escapeHtml(finding.cookie.name)}</span>
+            <span class="row-main"><strong>${escapeHtml(finding.title)}</strong> <span class="section-meta">${escapeHtml(finding.message)}</span></span>
+        `;
+        row.onclick = () => grid.highlightRow(cookieKey(finding.cookie), true);
+        list.appendChild(row);
+    });
+
+    const fileBase = `cookie-audit-${report.site}`;
+    section.querySelector('#audit-export-json').onclick = () =>
+        saveTextFile(cookieAuditor.toJSON(report), `${fileBase}.json`, 'JSON Report', 'application/json', ['.json']);
+    section.querySelector('#audit-export-md').onclick = () =>
+        saveTextFile(cookieAuditor.toMarkdown(report), `${fileBase}.md`, 'Markdown Report', 'text/markdown', ['.md']);
+}
+
+const LIMIT_LEVEL_COLORS = {
+    ok: 'var(--text-secondary)',
+    near: 'orange',
+    over: 'var(--danger)'
+};
+
+function renderCookieLimits(section, cookies, url, grid) {
+    const report = cookieLimits.report(cookies, { url, site: cookiesManager.getSite() });
+    const evictionKeys = new Set(report.evictionCandidates.map(cookieKey));
+    const meter = (value, limit, level, unit) => `
+        <div style="flex: 1; min-width: 160px;">
+            <div class="section-meta">${value} / ${limit} ${unit}</div>
+            <div style="height: 6px; background: var(--bg-main); border-radius: 3px; overflow: hidden;">
+                <div style="height: 100%; width: ${Math.min(100, value / limit * 100)}%; background: ${level === 'ok' ? 'var(--accent-primary)' : LIMIT_LEVEL_COLORS[level]};"></div>
+            </div>
+        </div>`;
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Limits · ${escapeHtml(report.site)}</h4>
+        </div>
+        <div style="display: flex; gap: 16px; margin-bottom: 8px; flex-wrap: wrap;">
+            ${meter(report.count, MAX_COOKIES_PER_DOMAIN, report.countLevel, 'cookies on this site (Chrome limit)')}
+            ${meter(report.header.bytes, SERVER_HEADER_LIMIT, report.header.level, `byte Cookie header for this URL (${report.header.sent} cookies; common server limit)`)}
+        </div>
+        ${report.evictionCandidates.length > 0 ? `
+            <div class="section-meta" style="color: ${LIMIT_LEVEL_COLORS[report.countLevel]}; margin-bottom: 8px;">
+                Over ${MAX_COOKIES_PER_DOMAIN} cookies Chrome purges this site down to ${PURGE_TARGET}, non-Secure cookies first, then the least recently used.
+                Next to go: ${report.evictionCandidates.slice(0, 5).map(c => `<code>${escapeHtml(c.name)}</code>`).join(', ')}${report.evictionCandidates.length > 5 ? ` and ${report.evictionCandidates.length - 5} more` : ''}.
+            </div>` : ''}
+        <div id="limits-cookies" style="max-height: 220px; overflow: auto;"></div>
+    `;
+
+    const list = section.querySelector('#limits-cookies');
+    report.cookies.forEach(({ cookie, bytes, level }) => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.style.cursor = 'pointer';
+        row.title = 'Show cookie in grid';
+        const flags = [];
+        if (level === 'over') flags.push(`over the ${MAX_COOKIE_BYTES}-byte cap, Chrome rejects it`);
+        else if (level === 'near') flags.push(`close to the ${MAX_COOKIE_BYTES}-byte cap`);
+        if (evictionKeys.has(cookieKey(cookie))) flags.push('eviction candidate');
+        row.innerHTML = `
+            <span style="width: 160px; font-family: monospace;" class="row-main">${escapeHtml(cookie.name)}</span>
+            <span style="width: 120px;">
+                <div style="height: 6px; background: var(--bg-main); border-radius: 3px; overflow: hidden;">
+                    <div style="height: 100%; width: ${Math.min(100, bytes / MAX_COOKIE_BYTES * 100)}%; background: ${level === 'ok' ? 'var(--accent-primary)' : LIMIT_LEVEL_COLORS[level]};"></div>
+                </div>
+            </span>
+            <span style="width: 80px; text-align: right; color: ${LIMIT_LEVEL_COLORS[level]};">${bytes} B</span>
+            <span class="row-main section-meta"${flags.length > 0 ? ' style="color: orange;"' : ''}>${flags.join(' · ')}</span>
+        `;
+        row.onclick = () => grid.highlightRow(cookieKey(cookie), true);
+        list.appendChild(row);
+    });
+}
+
+// Last simulated request, kept across re-renders
+let simulatorRequest = null;
+
+async function renderCookieSimulator(section, url, grid) {
+    if (!simulatorRequest) {
+        simulatorRequest = { url, method: 'GET', topLevelSite: cookiesManager.toTopLevelSite(url), context: 'same-site', type: 'navigation' };
+    }
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Request Simulator</h4>
+            <span class="section-meta">Candidates: cookies for ${escapeHtml(cookiesManager.getSite())} in this store, including partitioned ones</span>
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px; flex-wrap: wrap;">
+            <select id="sim-method" class="toolbar-btn">
+                ${['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS'].map(m => `<option>${m}</option>`).join('')}
+            </select>
+            <input id="sim-url" type="text" placeholder="https://example.com/path" spellcheck="false" class="toolbar-btn" style="flex: 1; min-width: 240px; text-align: left;">
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px; flex-wrap: wrap;">
+            <select id="sim-type" class="toolbar-btn">
+                <option value="navigation">Top-level navigation</option>
+                <option value="subresource">Subresource / iframe</option>
+            </select>
+            <select id="sim-context" class="toolbar-btn">
+                <option value="same-site">Same-site initiator</option>
+                <option value="cross-site">Cross-site initiator</option>
+            </select>
+            <input id="sim-top-level" type="text" placeholder="Top-level site" spellcheck="false" class="toolbar-btn" style="width: 200px; text-align: left;" title="Site shown in the address bar">
+            <button class="toolbar-btn" id="sim-run">Simulate</button>
+        </div>
+        <div id="sim-result" style="max-height: 320px; overflow: auto;"></div>
+    `;
+
+    const $ = (sel) => section.querySelector(sel);
+    $('#sim-method').value = simulatorRequest.method;
+    $('#sim-url').value = simulatorRequest.url;
+    $('#sim-type').value = simulatorRequest.type;
+    $('#sim-context').value = simulatorRequest.context;
+    $('#sim-top-level').value = simulatorRequest.topLevelSite;
+
+    // The top-level site of a navigation is the URL being navigated to
+    const syncInputs = () => $('#sim-top-level').disabled = $('#sim-type').value === 'navigation';
+    $('#sim-type').onchange = syncInputs;
+    syncInputs();
+
+    $('#sim-run').onclick = () => {
+        simulatorRequest = {
+            url: $('#sim-url').value.trim(),
+            method: $('#sim-method').value,
+            topLevelSite: $('#sim-top-level').value.trim(),
+            context: $('#sim-context').value,
+            type: $('#sim-type').value
+        };
+        renderCookieSimulator(section, url, grid);
+    };
+
+    const resultContainer = $('#sim-result');
+    let result;
+    try {
+        const [cookies, partitioned] = await Promise.all([cookiesManager.getAll(), cookiesManager.getPartitioned()]);
+        const candidates = new Map([...cookies, ...partitioned].map(c => [cookieKey(c), c]));
+        result = cookieRequestSimulator.simulate([...candidates.values()], simulatorRequest);
+    } catch (e) {
+        resultContainer.innerHTML = `<div style="color: var(--danger);">Simulation failed: ${escapeHtml(e.message)}</div>`;
+        return;
+    }
+
+    resultContainer.innerHTML = `
+        <div class="section-meta" style="margin-bottom: 4px;">
+            ${result.method} ${escapeHtml(result.url)} · top-level site ${escapeHtml(result.topLevelSite)} ·
+            <strong>${result.included.length}</strong> sent, ${result.excluded.length} excluded
+        </div>
+        <div style="display: flex; gap: 8px; align-items: flex-start; margin-bottom: 8px;">
+            <pre style="flex: 1; margin: 0; padding: 6px; background: var(--bg-main); border: 1px solid var(--border-color); border-radius: 4px; white-space: pre-wrap; word-break: break-all; font-size: 11px;">${result.header ? `Cookie: ${escapeHtml(result.header)}` : '(no Cookie header)'}</pre>
+            <div style="display: flex; flex-direction: column; gap: 4px; align-items: flex-end;">
+                <span class="section-meta" title="Size of the header value">${result.headerBytes} bytes</span>
+                <button class="toolbar-btn" id="sim-copy" ${result.header ? '' : 'disabled'}>Copy</button>
+            </div>
+        </div>
+        <div id="sim-rows"></div>
+    `;
+    $('#sim-copy').onclick = () => navigator.clipboard.writeText(`Cookie: ${result.header}`);
+
+    const rows = $('#sim-rows');
+    const addRow = (cookie, sent, detail) => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.style.cursor = 'pointer';
+        row.title = 'Show cookie in grid';
+        row.innerHTML = `
+            <span style="width: 60px; font-size: 10px; font-weight: 600; text-transform: uppercase; color: ${sent ? 'var(--success)' : 'var(--danger)'};">${sent ? 'Sent' : 'Excluded'}</span>
+            <span style="width: 160px; font-family: monospace;" class="row-main">${escapeHtml(cookie.name)}</span>
+            <span class="row-main section-meta">${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)}${cookie.partitionKey ? ` · partition ${escapeHtml(cookie.partitionKey.topLevelSite)}` : ''}${detail ? ` · ${escapeHtml(detail)}` : ''}</span>
+        `;
+        row.onclick = () => grid.highlightRow(cookieKey(cookie), true);
+        rows.appendChild(row);
+    };
+    result.included.forEach(({ cookie, note }) => addRow(cookie, true, note));
+    result.excluded.forEach(({ cookie, reason }) => addRow(cookie, false, reason));
+}
+
+// Last partition query, kept across re-renders
+let partitionQuery = { mode: 'site', topLevelSite: '', hasCrossSiteAncestor: false };
+
+async function renderCookiePartitions(section, url) {
+    if (!partitionQuery.topLevelSite) partitionQuery.topLevelSite = cookiesManager.toTopLevelSite(url);
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Partitioned Cookies (CHIPS)</h4>
+            <button class="toolbar-btn" id="partition-new-btn">New Partitioned Cookie</button>
+        </div>
+        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px; flex-wrap: wrap;">
+            <select id="partition-mode" class="toolbar-btn">
+                <option value="site">${escapeHtml(cookiesManager.getSite())} in every partition</option>
+                <option value="partition">Every cookie in partition...</option>
+            </select>
+            <input id="partition-site" type="text" placeholder="https://top-level-site.com" class="toolbar-btn" style="width: 220px; text-align: left;">
+            <label class="section-meta"><input id="partition-cross-site" type="checkbox"> hasCrossSiteAncestor</label>
+            <button class="toolbar-btn" id="partition-query-btn">Query</button>
+        </div>
+        <div id="partition-groups" style="max-height: 320px; overflow: auto;"><div class="section-meta">Loading...</div></div>
+    `;
+
+    const modeSelect = section.querySelector('#partition-mode');
+    const siteInput = section.querySelector('#partition-site');
+    const crossSiteInput = section.querySelector('#partition-cross-site');
+    modeSelect.value = partitionQuery.mode;
+    siteInput.value = partitionQuery.topLevelSite;
+    crossSiteInput.checked = partitionQuery.hasCrossSiteAncestor;
+
+    const syncInputs = () => {
+        const byPartition = modeSelect.value === 'partition';
+        siteInput.disabled = !byPartition;
+        crossSiteInput.disabled = !byPartition;
+    };
+    modeSelect.onchange = syncInputs;
+    syncInputs();
+
+    section.querySelector('#partition-query-btn').onclick = () => {
+        partitionQuery = {
+            mode: modeSelect.value,
+            topLevelSite: siteInput.value.trim(),
+            hasCrossSiteAncestor: crossSiteInput.checked
+        };
+        renderCookiePartitions(section, url);
+    };
+
+    section.querySelector('#partition-new-btn').onclick = () => {
+        showNewItemModal('New Partitioned Cookie', [
+            { key: 'name', label: 'Name', default: 'new_cookie' },
+            { key: 'value', label: 'Value', default: '' },
+            { key: 'domain', label: 'Domain (cookie host)', default: cookiesManager.currentUrl.hostname },
+            { key: 'path', label: 'Path', default: '/' },
+            { key: 'topLevelSite', label: 'Partition (top-level site)', default: partitionQuery.topLevelSite },
+            { key: 'expiry', label: 'Expiration', type: 'datetime-local' }
+        ], async (result) => {
+            if (!result.name) return;
+            try {
+                const cookie = {
+                    name: result.name,
+                    value: result.value,
+                    domain: result.domain,
+                    hostOnly: true,
+                    path: result.path || '/',
+                    // Partitioned cookies must be Secure; SameSite=None lets embeds receive them
+                    secure: true,
+                    sameSite: 'no_restriction',
+                    partitionKey: { topLevelSite: cookiesManager.toTopLevelSite(result.topLevelSite) }
+                };
+                if (result.expiry) {
+                    const date = new Date(result.expiry);
+                    if (!isNaN(date.getTime())) cookie.expirationDate = date.getTime() / 1000;
+                }
+                await writeCookie(cookie);
+                renderCookiePartitions(section, url);
+            } catch (e) {
+                alert('Create failed: ' + e.message);
+            }
+        }, 'Create');
+    };
+
+    const groupsContainer = section.querySelector('#partition-groups');
+    let cookies;
+    try {
+        if (partitionQuery.mode === 'partition') {
+            const partitionKey = { topLevelSite: cookiesManager.toTopLevelSite(partitionQuery.topLevelSite) };
+            if (partitionQuery.hasCrossSiteAncestor) partitionKey.hasCrossSiteAncestor = true;
+            cookies = await cookiesManager.getPartitioned(partitionKey);
+        } else {
+            cookies = await cookiesManager.getPartitioned();
+        }
+    } catch (e) {
+        groupsContainer.innerHTML = `<div style="color: var(--danger);">Query failed: ${escapeHtml(e.message)}</div>`;
+        return;
+    }
+
+    if (cookies.length === 0) {
+        groupsContainer.innerHTML = '<div class="section-meta">No partitioned cookies found.</div>';
+        return;
+    }
+
+    const groups = new Map();
+    cookies.forEach(c => {
+        const site = c.partitionKey.topLevelSite + (c.partitionKey.hasCrossSiteAncestor ? ' (cross-site ancestor)' : '');
+        if (!groups.has(site)) groups.set(site, []);
+        groups.get(site).push(c);
+    });
+
+    groupsContainer.innerHTML = '';
+    [...groups.entries()].sort(([a], [b]) => a.localeCompare(b)).forEach(([site, groupCookies]) => {
+        const heading = document.createElement('div');
+        heading.className = 'section-meta';
+        heading.style.cssText = 'margin: 8px 0 4px; font-weight: 600;';
+        heading.textContent = `Partition: ${site} · ${groupCookies.length} cookie${groupCookies.length === 1 ? '' : 's'}`;
+        groupsContainer.appendChild(heading);
+
+        const gridContainer = document.createElement('div');
+        groupsContainer.appendChild(gridContainer);
+
+        const refresh = () => renderCookiePartitions(section, url);
+        const grid = new DataGrid(gridContainer, {
+            defaultSortCol: 'name',
+            rowKey: cookieKey,
+            columns: [
+                { key: 'name', label: 'Name', width: '140px' },
+                { key: 'value', label: 'Value', width: '200px', render: (val, item) => renderValueWithPreviews(val, item) },
+                { key: 'domain', label: 'Domain', width: '140px' },
+                { key: 'path', label: 'Path', width: '60px' },
+                {
+                    key: 'expirationDate',
+                    label: 'Expires',
+                    width: '140px',
+                    render: (val) => val ? new Date(val * 1000).toLocaleString() : 'Session'
+                }
+            ],
+            enableGlobalContextMenu: false,
+            onEdit: (item) => editCookieValue(item, refresh),
+            onDelete: async (item) => {
+                if (await deleteCookies([item])) refresh();
+            },
+            onBulkDelete: async (items) => {
+                if (await deleteCookies(items)) refresh();
+            },
+            onBulkDecode: (items) => showBulkDecode(items),
+            onUpdate: async (newItem, oldItem) => {
+                try {
+                    if (newItem.name !== oldItem.name || newItem.domain !== oldItem.domain || newItem.path !== oldItem.path) {
+                        if (!await deleteCookies([oldItem])) return;
+                    }
+                    await writeCookie(newItem);
+                    refresh();
+                } catch (e) {
+                    alert(`Update failed: ${e.message}`);
+                }
+            }
+        });
+        grid.render(groupCookies);
+    });
+}
+
+// Enforcement counters are written by background.js; refresh the open Locks section when they change
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !(changes[cookieLocksManager.storageKey] || changes[cookieLocksManager.statsKey])) return;
+    const section = document.getElementById('cookie-section-locks');
+    if (section && openCookieSections.has('locks')) renderCookieLocks(section, cookiesManager.getSite());
+});
+
+async function renderCookieLocks(section, site) {
+    const locks = await cookieLocksManager.list(site);
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Cookie Locks for ${escapeHtml(site)}</h4>
+            <span class="section-meta">Right-click a cookie and choose "Lock / Unlock Value" to pin it.</span>
+        </div>
+        <div id="lock-list"></div>
+    `;
+
+    const list = section.querySelector('#lock-list');
+    if (locks.length === 0) {
+        list.innerHTML = '<div class="section-meta">No locked cookies.</div>';
+        return;
+    }
+
+    locks.forEach(lock => {
+        const c = lock.cookie;
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.innerHTML = `
+            <span class="row-main" title="${escapeHtml(c.value)}">
+                <strong>${escapeHtml(c.name)}</strong>
+                <span class="section-meta">${escapeHtml(c.domain)}${escapeHtml(c.path)}</span>
+                = ${escapeHtml(c.value.substring(0, 80))}
+            </span>
+            <span class="section-meta">Enforced ${lock.enforced}×${lock.lastEnforced ? ` · last ${new Date(lock.lastEnforced).toLocaleTimeString()}` : ''}</span>
+            <button class="toolbar-btn danger">Unlock</button>
+        `;
+        row.querySelector('button').onclick = async () => {
+            await cookieLocksManager.unlock(site, lock.id);
+            loadView('cookies');
+        };
+        list.appendChild(row);
+    });
+}
+
+const COOKIE_CHANGE_CAUSES = {
+    explicit: { color: 'var(--accent-primary)', hint: 'Set or removed by a script, a response header or an extension' },
+    overwrite: { color: 'var(--text-secondary)', hint: 'Replaced by a newer write of the same cookie' },
+    expired: { color: 'orange', hint: 'Removed because it expired' },
+    evicted: { color: 'var(--danger)', hint: 'Removed by garbage collection (cookie limits)' },
+    expired_overwrite: { color: 'orange', hint: 'Overwritten with an already-expired expiration date' }
+};
+
+function renderCookieChangeLog(section) {
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Live Cookie Changes</h4>
+            <button class="toolbar-btn" id="change-log-clear">Clear</button>
+        </div>
+        <div id="change-log-list" style="max-height: 200px; overflow: auto; font-family: monospace; font-size: 12px;"></div>
+    `;
+
+    const list = section.querySelector('#change-log-list');
+    if (cookieChangeLog.length === 0) {
+        list.innerHTML = '<div class="section-meta">Waiting for cookie changes...</div>';
+    } else {
+        list.innerHTML = cookieChangeLog.map(event => {
+            const cause = COOKIE_CHANGE_CAUSES[event.cause] || { color: 'var(--text-secondary)', hint: '' };
+            const c = event.cookie;
+            return `
+                <div class="section-row" style="padding: 3px 0;">
+                    <span class="section-meta">${new Date(event.timestamp).toLocaleTimeString()}</span>
+                    <span style="width: 60px; color: ${event.removed ? 'var(--danger)' : 'var(--success)'};">${event.removed ? 'removed' : 'set'}</span>
+                    <span title="${cause.hint}" style="width: 120px; color: ${cause.color}; cursor: help;">${escapeHtml(event.cause)}</span>
+                    <span class="row-main" title="${escapeHtml(c.value)}">${escapeHtml(c.name)} <span class="section-meta">${escapeHtml(c.domain)}${escapeHtml(c.path)}</span> = ${escapeHtml(c.value.substring(0, 80))}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    section.querySelector('#change-log-clear').onclick = () => {
+        cookieChangeLog.length = 0;
+        const counter = document.getElementById('cookie-change-count');
+        if (counter) counter.textContent = '(0)';
+        renderCookieChangeLog(section);
+    };
+}
+
+// Chrome clamps cookie lifetimes to 400 days from now
+const MAX_COOKIE_LIFETIME = 400 * 24 * 60 * 60;
+
+const EXPIRY_UNITS = { minutes: 60, hours: 3600, days: 86400 };
+
+/**
+ * @returns {{ expirationDate: number|undefined, note: string }|null} null when the cookie is unchanged
+ */
+function computeNewExpiry(cookie, op) {
+    const now = Date.now() / 1000;
+    const offset = (parseFloat(op.amount) || 0) * EXPIRY_UNITS[op.unit];
+    let next;
+
+    if (op.mode === 'shift') {
+        if (!cookie.expirationDate) return { expirationDate: undefined, note: 'Session cookie; unchanged', skip: true };
+        next = cookie.expirationDate + offset;
+    } else if (op.mode === 'absolute') {
+        const date = new Date(op.date);
+        if (isNaN(date.getTime())) return { expirationDate: cookie.expirationDate, note: 'Pick a date', skip: true };
+        next = date.getTime() / 1000;
+    } else if (op.mode === 'session') {
+        if (!cookie.expirationDate) return { expirationDate: undefined, note: 'Already a session cookie', skip: true };
+        return { expirationDate: undefined, note: '' };
+    } else if (op.mode === 'persistent') {
+        if (cookie.expirationDate) return { expirationDate: cookie.expirationDate, note: 'Already persistent', skip: true };
+        next = now + offset;
+    }
+
+    if (next <= now) return { expirationDate: next, note: 'In the past: the cookie will be deleted' };
+    if (next - now > MAX_COOKIE_LIFETIME) return { expirationDate: now + MAX_COOKIE_LIFETIME, note: 'Clamped to 400 days by Chrome' };
+    return { expirationDate: next, note: '' };
+}
+
+function showCookieExpiryModal(cookies) {
+    if (cookies.length === 0) {
+        alert('No cookies selected or visible.');
+        return;
+    }
+
+    const panel = showPanelModal(`Change Expiry of ${cookies.length} Cookie${cookies.length === 1 ? '' : 's'}`, '760px');
+    const inputStyle = 'background:var(--bg-main); border:1px solid var(--border-color); color:var(--text-primary); padding:6px; border-radius:4px; font-size:13px;';
+
+    panel.body.innerHTML = `
+        <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 12px; flex-wrap: wrap;">
+            <select id="expiry-mode" style="${inputStyle}">
+                <option value="shift">Shift expiry by</option>
+                <option value="absolute">Set expiry to</option>
+                <option value="persistent">Make session cookies persistent for</option>
+                <option value="session">Convert to session cookies</option>
+            </select>
+            <input id="expiry-amount" type="number" value="1" style="${inputStyle} width: 80px;">
+            <select id="expiry-unit" style="${inputStyle}">
+                <option value="minutes">minutes</option>
+                <option value="hours">hours</option>
+                <option value="days" selected>days</option>
+            </select>
+            <input id="expiry-date" type="datetime-local" style="${inputStyle}">
+        </div>
+        <div id="expiry-summary" class="section-meta" style="margin-bottom: 8px;"></div>
+        <div id="expiry-preview" style="max-height: 320px; overflow: auto;"></div>
+    `;
+
+    const $ = (id) => panel.body.querySelector(id);
+    const readOp = () => ({ mode: $('#expiry-mode').value, amount: $('#expiry-amount').value, unit: $('#expiry-unit').value, date: $('#expiry-date').value });
+    const formatExpiry = (val) => val ? new Date(val * 1000).toLocaleString() : 'Session';
+    let changes = [];
+
+    const preview = () => {
+        const op = readOp();
+        const usesAmount = op.mode === 'shift' || op.mode === 'persistent';
+        $('#expiry-amount').style.display = usesAmount ? '' : 'none';
+        $('#expiry-unit').style.display = usesAmount ? '' : 'none';
+        $('#expiry-date').style.display = op.mode === 'absolute' ? '' : 'none';
+
+        const rows = cookies.map(cookie => {
+            const result = computeNewExpiry(cookie, op);
+            return { cookie, ...result, name: cookie.name, domain: cookie.domain, oldExpiry: cookie.expirationDate, newExpiry: result.expirationDate };
+        });
+        changes = rows.filter(r => !r.skip);
+        $('#expiry-summary').textContent = `${changes.length} of ${cookies.length} cookies will change`;
+        applyBtn.textContent = `Apply to ${changes.length}`;
+
+        const grid = new DataGrid($('#expiry-preview'), {
+            columns: [
+                { key: 'name', label: 'Name', width: '140px' },
+                { key: 'domain', label: 'Domain', width: '130px' },
+                { key: 'oldExpiry', label: 'Current', width: '150px', render: formatExpiry },
+                {
+                    key: 'newExpiry',
+                    label: 'New',
+                    width: '150px',
+                    render: (val, item) => item.skip ? '<span style="color:var(--text-secondary);">—</span>' : `<strong>${formatExpiry(val)}</strong>`
+                },
+                { key: 'note', label: 'Note', width: '200px' }
+            ],
+            enableGlobalContextMenu: false
+        });
+        grid.render(rows);
+    };
+
+    const applyBtn = panel.addButton('Apply', async () => {
+        const failed = [];
+        for (const change of changes) {
+            const updated = { ...change.cookie, expirationDate: change.expirationDate };
+            if (change.expirationDate === undefined) delete updated.expirationDate;
+            try {
+                await writeCookie(updated);
+            } catch (e) {
+                failed.push(`${change.cookie.name}: ${e.message}`);
+            }
+        }
+        panel.close();
+        if (failed.length > 0) alert(`Failed to update:\n${failed.join('\n')}`);
+        loadView('cookies');
+    });
+
+    panel.body.querySelectorAll('input, select').forEach(el => {
+        el.oninput = preview;
+        el.onchange = preview;
+    });
+    preview();
+}
+
+function cookieStoreLabel(store) {
+    return `${store.incognito ? 'Incognito' : 'Regular'} · store ${store.id}`;
+}
+
+function showCopyToStoreModal(cookies, stores) {
+    const targets = stores.filter(st => st.id !== cookiesManager.storeId);
+    const panel = showPanelModal(`Copy ${cookies.length} Cookie${cookies.length === 1 ? '' : 's'} to Store`, '400px');
+
+    panel.body.innerHTML = `
+        <label class="section-meta" style="display:block; margin-bottom:4px;">Target Store</label>
+        <select id="copy-store-target" style="background:var(--bg-main); border:1px solid var(--border-color); color:var(--text-primary); padding:6px; border-radius:4px; width:100%;"></select>
+    `;
+    const select = panel.body.querySelector('#copy-store-target');
+    targets.forEach(store => {
+        const option = document.createElement('option');
+        option.value = store.id;
+        option.textContent = cookieStoreLabel(store);
+        select.appendChild(option);
+    });
+
+    panel.addButton('Copy', async () => {
+        const failed = [];
+        for (const cookie of cookies) {
+            try {
+                const result = await writeCookie({ ...cookie, storeId: select.value });
+                if (!result) failed.push(`${cookie.name}: rejected by Chrome`);
+            } catch (e) {
+                failed.push(`${cookie.name}: ${e.message}`);
+            }
+        }
+        panel.close();
+        if (failed.length > 0) alert(`Copy failed for:\n${failed.join('\n')}`);
+    });
+}
+
+async function showCookieCloneModal(cookies) {
+    const panel = showPanelModal(`Clone ${cookies.length} Cookie${cookies.length === 1 ? '' : 's'} to Domain`, '820px');
+    const stored = await chrome.storage.local.get('cookieCloneTarget');
+
+    panel.body.innerHTML = `
+        <label class="section-meta" style="display:block; margin-bottom:4px;">Target Origin (optionally with a path)</label>
+        <input id="clone-target" type="text" placeholder="http://localhost:3000" spellcheck="false" style="background:var(--bg-main); border:1px solid var(--border-color); color:var(--text-primary); padding:6px; border-radius:4px; width:100%; font-family:monospace;">
+        <div id="clone-summary" class="section-meta" style="margin: 8px 0;"></div>
+        <div id="clone-preview" style="max-height: 320px; overflow: auto;"></div>
+    `;
+
+    const targetInput = panel.body.querySelector('#clone-target');
+    targetInput.value = stored.cookieCloneTarget || '';
+    let rows = [];
+
+    const renderRows = () => {
+        const grid = new DataGrid(panel.body.querySelector('#clone-preview'), {
+            columns: [
+                { key: 'name', label: 'Name', width: '130px' },
+                { key: 'domain', label: 'New Domain', width: '130px' },
+                { key: 'path', label: 'Path', width: '70px' },
+                { key: 'changes', label: 'Adjusted', width: '170px', render: (val) => escapeHtml(val.join(', ') || '—') },
+                {
+                    key: 'status',
+                    label: 'Status',
+                    width: '220px',
+                    render: (val, item) => {
+                        const color = val === 'cloned' ? 'var(--success)' : val === 'rejected' ? 'var(--danger)' : item.problems.length > 0 ? 'orange' : 'var(--text-secondary)';
+                        const text = val === 'pending' ? (item.problems.length > 0 ? 'Likely rejected' : 'Ready') : val === 'cloned' ? 'Cloned' : 'Rejected';
+                        const reasons = item.error ? [item.error, ...item.problems] : item.problems;
+                        return `<span style="color:${color};">${text}</span>${reasons.length > 0 ? `: ${escapeHtml(reasons.join('; '))}` : ''}`;
+                    }
+                }
+            ],
+            enableGlobalContextMenu: false
+        });
+        grid.render(rows);
+    };
+
+    const preview = () => {
+        const summary = panel.body.querySelector('#clone-summary');
+        rows = [];
+        if (!targetInput.value.trim()) {
+            summary.textContent = 'Enter the origin to copy the cookies to.';
+            cloneBtn.disabled = true;
+            renderRows();
+            return;
+        }
+
+        try {
+            rows = cookies.map(cookie => {
+                const { cookie: clone, changes } = cookiesManager.cloneToOrigin(cookie, targetInput.value.trim());
+                return { name: clone.name, domain: clone.domain, path: clone.path, clone, changes, problems: cookiesManager.validate(clone), status: 'pending' };
+            });
+        } catch (e) {
+            summary.textContent = `Invalid origin: ${e.message}`;
+            cloneBtn.disabled = true;
+            renderRows();
+            return;
+        }
+
+        const flagged = rows.filter(r => r.problems.length > 0).length;
+        summary.textContent = `${rows.length} cookies to clone${flagged > 0 ? `, ${flagged} likely to be rejected` : ''}`;
+        cloneBtn.disabled = false;
+        renderRows();
+    };
+
+    const cloneBtn = panel.addButton('Clone', async () => {
+        await chrome.storage.local.set({ cookieCloneTarget: targetInput.value.trim() });
+        cloneBtn.disabled = true;
+
+        for (const row of rows) {
+            try {
+                const result = await writeCookie(row.clone);
+                row.status = result ? 'cloned' : 'rejected';
+                if (!result) row.error = 'Chrome refused the cookie';
+            } catch (e) {
+                row.status = 'rejected';
+                row.error = e.message;
+            }
+        }
+
+        const cloned = rows.filter(r => r.status === 'cloned').length;
+        panel.body.querySelector('#clone-summary').textContent = `${cloned} of ${rows.length} cookies cloned to ${targetInput.value.trim()}`;
+        renderRows();
+    });
+
+    targetInput.oninput = preview;
+    preview();
+    targetInput.focus();
+}
+
+function showCookieImportModal() {
+    const panel = showPanelModal('Import Cookies', '760px');
+    const hostname = cookiesManager.currentUrl ? cookiesManager.currentUrl.hostname : '';
+
+    panel.body.innerHTML = `
+        <p class="section-meta" style="margin-bottom: 8px;">
+            Paste or load a Netscape cookies.txt, an EditThisCookie / Cookie-Editor JSON export, or a HAR file.
+        </p>
+        <div style="display: flex; gap: 8px; margin-bottom: 8px; align-items: center;">
+            <input id="import-file" type="file" accept=".txt,.json,.har" style="font-size: 12px; color: var(--text-secondary);">
+            <span id="import-format" class="section-meta"></span>
+        </div>
+        <textarea id="import-text" spellcheck="false" style="width: 100%; height: 120px; background: var(--bg-main); border: 1px solid var(--border-color); color: var(--text-primary); border-radius: 4px; padding: 6px; font-family: monospace; font-size: 12px;"></textarea>
+        <div id="import-summary" class="section-meta" style="margin: 8px 0;"></div>
+        <div id="import-preview" style="max-height: 280px; overflow: auto;"></div>
+    `;
+
+    const textArea = panel.body.querySelector('#import-text');
+    let plan = [];
+
+    panel.body.querySelector('#import-file').onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        textArea.value = await file.text();
+        preview();
+    };
+
+    const preview = async () => {
+        const summary = panel.body.querySelector('#import-summary');
+        const previewContainer = panel.body.querySelector('#import-preview');
+        try {
+            const parsed = cookieImporter.parse(textArea.value);
+            const existing = await cookiesManager.getAll();
+            plan = cookieImporter.plan(parsed.cookies, existing, hostname);
+
+            panel.body.querySelector('#import-format').textContent = `Detected: ${parsed.format}`;
+            const counts = { create: 0, overwrite: 0, skip: 0 };
+            plan.forEach(p => counts[p.action]++);
+            summary.textContent = `${counts.create} to create, ${counts.overwrite} to overwrite, ${counts.skip} skipped`;
+            importBtn.textContent = `Import ${counts.create + counts.overwrite} Cookies`;
+
+            const actionColors = { create: 'var(--success)', overwrite: 'orange', skip: 'var(--text-secondary)' };
+            const grid = new DataGrid(previewContainer, {
+                columns: [
+                    {
+                        key: 'action',
+                        label: 'Action',
+                        width: '80px',
+                        render: (val) => `<span style="color:${actionColors[val]}; font-weight:600; text-transform:uppercase; font-size:10px;">${val}</span>`
+                    },
+                    { key: 'name', label: 'Name', width: '120px' },
+                    { key: 'domain', label: 'Domain', width: '120px' },
+                    { key: 'path', label: 'Path', width: '60px' },
+                    {
+                        key: 'expirationDate',
+                        label: 'Expires',
+                        width: '130px',
+                        render: (val) => val ? new Date(val * 1000).toLocaleString() : 'Session'
+                    },
+                    { key: 'reason', label: 'Reason', width: '200px' }
+                ],
+                enableGlobalContextMenu: false
+            });
+            grid.render(plan.map(p => ({ ...p.cookie, action: p.action, reason: p.reason })));
+        } catch (e) {
+            plan = [];
+            summary.innerHTML = `<span style="color: var(--danger);"></span>`;
+            summary.firstElementChild.textContent = e.message;
+            previewContainer.innerHTML = '';
+            importBtn.textContent = 'Import';
+        }
+    };
+
+    let previewTimer = null;
+    textArea.oninput = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(preview, 300);
+    };
+
+    const importBtn = panel.addButton('Import', async () => {
+        const toWrite = plan.filter(p => p.action !== 'skip');
+        if (toWrite.length === 0) return;
+
+        const failed = [];
+        for (const p of toWrite) {
+            try {
+                const result = await writeCookie(p.cookie);
+                if (!result) failed.push(`${p.cookie.name}: rejected by Chrome`);
+            } catch (e) {
+                failed.push(`${p.cookie.name}: ${e.message}`);
+            }
+        }
+
+        if (failed.length > 0) {
+            alert(`Imported ${toWrite.length - failed.length} of ${toWrite.length} cookies. Failed:\n${failed.join('\n')}`);
+        }
+        panel.close();
+        loadView('cookies');
+    });
+}
+
+async function renderCookieProfiles(section) {
+    // Per registrable site, like lock rules: the saved jar includes cookies of every subdomain
+    const site = cookiesManager.getSite();
+    if (!site) {
+        section.innerHTML = '<div class="section-meta">No site selected.</div>';
+        return;
+    }
+
+    const profiles = await cookieProfilesManager.list(site);
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Cookie Profiles for ${site}</h4>
+            <button class="toolbar-btn" id="profile-save-btn">Save Current Cookies as Profile</button>
+        </div>
+        <div id="profile-list"></div>
+    `;
+
+    const list = section.querySelector('#profile-list');
+    if (profiles.length === 0) {
+        list.innerHTML = '<div class="section-meta">No saved profiles yet.</div>';
+    }
+
+    profiles.forEach(profile => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.innerHTML = `
+            <span class="row-main"></span>
+            <span class="section-meta">${profile.cookies.length} cookies · ${new Date(profile.savedAt).toLocaleString()}</span>
+            <button class="toolbar-btn" data-action="restore">Restore</button>
+            <button class="toolbar-btn" data-action="rename">Rename</button>
+            <button class="toolbar-btn danger" data-action="delete">Delete</button>
+        `;
+        row.querySelector('.row-main').textContent = profile.name;
+
+        row.querySelector('[data-action="restore"]').onclick = async () => {
+            if (!confirm(`Replace all current cookies for ${site} with profile "${profile.name}"?`)) return;
+            try {
+                const result = await cookieProfilesManager.restore(site, profile.name);
+                const notes = [];
+                if (result.failed.length > 0) notes.push('Failed:\n' + result.failed.map(f => `${f.name}: ${f.error}`).join('\n'));
+                if (result.keptLocked.length > 0) notes.push(`Kept because they are locked: ${result.keptLocked.join(', ')}`);
+                if (notes.length > 0) alert(`Restored ${result.restored} cookies.\n${notes.join('\n')}`);
+                loadView('cookies');
+            } catch (e) {
+                alert('Restore failed: ' + e.message);
+            }
+        };
+
+        row.querySelector('[data-action="rename"]').onclick = () => {
+            showNewItemModal('Rename Profile', [
+                { key: 'name', label: 'Profile Name', default: profile.name }
+            ], async (result) => {
+                if (!result.name || result.name === profile.name) return;
+                try {
+                    await cookieProfilesManager.rename(site, profile.name, result.name);
+                    renderCookieProfiles(section);
+                } catch (e) {
+                    alert('Rename failed: ' + e.message);
+                }
+            }, 'Rename');
+        };
+
+        row.querySelector('[data-action="delete"]').onclick = async () => {
+            if (!confirm(`Delete profile "${profile.name}"?`)) return;
+            await cookieProfilesManager.delete(site, profile.name);
+            renderCookieProfiles(section);
+        };
+
+        list.appendChild(row);
+    });
+
+    section.querySelector('#profile-save-btn').onclick = () => {
+        showNewItemModal('Save Cookie Profile', [
+            { key: 'name', label: 'Profile Name', default: `Profile ${profiles.length + 1}` }
+        ], async (result) => {
+            if (!result.name) return;
+            if (profiles.some(p => p.name === result.name) && !confirm(`Overwrite profile "${result.name}"?`)) return;
+            try {
+                const cookies = await cookiesManager.getJar();
+                await cookieProfilesManager.save(site, result.name, cookies);
+                renderCookieProfiles(section);
+            } catch (e) {
+                alert('Save failed: ' + e.message);
+            }
+        }, 'Save');
+    };
+}
+
+// --- Storage Mutation Monitor ---
+const STORAGE_MUTATION_LOG_LIMIT = 1000;
+const storageMutationLog = [];
+let storageMonitoring = false;
+let storageLogPaused = false;
+let storageLogFilter = '';
+let unsubscribeStorageMutations = null;
+
+// List or namespace tree, kept across re-renders
+let storageViewMode = 'list';
+let storageTreeDelimiter = ':';
+const storageTreeExpanded = new Set();
+
+// Last import mode picked, kept across imports
+let storageImportMode = 'merge';
+
+function showStorageImportModal(manager, type) {
+    const label = type === 'localStorage' ? 'Local Storage' : 'Session Storage';
+    const panel = showPanelModal(`Import ${label}`, '760px');
+
+    panel.body.innerHTML = `
+        <p class="section-meta" style="margin-bottom: 8px;">
+            Paste or load a <code>{ "key": "value" }</code> object, a list of <code>{ "key", "value" }</code> entries,
+            or the output of <code>JSON.stringify(${type})</code>. Non-string values are stored as JSON.
+        </p>
+        <div style="display: flex; gap: 8px; margin-bottom: 8px; align-items: center; flex-wrap: wrap;">
+            <input id="import-file" type="file" accept=".json,.txt" style="font-size: 12px; color: var(--text-secondary);">
+            <select id="import-mode" class="toolbar-btn">
+                ${Object.entries(IMPORT_MODES).map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}
+            </select>
+            <span id="import-format" class="section-meta"></span>
+        </div>
+        <textarea id="import-text" spellcheck="false" style="width: 100%; height: 120px; background: var(--bg-main); border: 1px solid var(--border-color); color: var(--text-primary); border-radius: 4px; padding: 6px; font-family: monospace; font-size: 12px;"></textarea>
+        <div id="import-summary" class="section-meta" style="margin: 8px 0;"></div>
+        <div id="import-preview" style="max-height: 280px; overflow: auto;"></div>
+    `;
+
+    const textArea = panel.body.querySelector('#import-text');
+    const modeSelect = panel.body.querySelector('#import-mode');
+    modeSelect.value = storageImportMode;
+    let plan = [];
+
+    panel.body.querySelector('#import-file').onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        textArea.value = await file.text();
+        preview();
+    };
+
+    const preview = async () => {
+        const summary = panel.body.querySelector('#import-summary');
+        const previewContainer = panel.body.querySelector('#import-preview');
+        try {
+            const parsed = storageImporter.parse(textArea.value);
+            const existing = await manager.getAll();
+            plan = storageImporter.plan(parsed.entries, existing, modeSelect.value);
+
+            panel.body.querySelector('#import-format').textContent = `Detected: ${parsed.format}`;
+            const counts = { create: 0, overwrite: 0, remove: 0, skip: 0 };
+            plan.forEach(p => counts[p.action]++);
+            summary.textContent = `${counts.create} to create, ${counts.overwrite} to overwrite, ${counts.remove} to remove, ${counts.skip} skipped`;
+            importBtn.textContent = `Apply ${counts.create + counts.overwrite + counts.remove} Changes`;
+
+            const actionColors = { create: 'var(--success)', overwrite: 'orange', remove: 'var(--danger)', skip: 'var(--text-secondary)' };
+            const clip = (val) => val === null ? '<span class="section-meta">—</span>' : escapeHtml(val.length > 120 ? val.substring(0, 120) + '...' : val);
+            const grid = new DataGrid(previewContainer, {
+                columns: [
+                    {
+                        key: 'action',
+                        label: 'Action',
+                        width: '80px',
+                        render: (val) => `<span style="color:${actionColors[val]}; font-weight:600; text-transform:uppercase; font-size:10px;">${val}</span>`
+                    },
+                    { key: 'key', label: 'Key', width: '140px' },
+                    { key: 'oldValue', label: 'Current Value', width: '200px', render: clip },
+                    { key: 'value', label: 'New Value', width: '200px', render: clip },
+                    { key: 'reason', label: 'Reason', width: '140px' }
+                ],
+                enableGlobalContextMenu: false
+            });
+            grid.render(plan);
+        } catch (e) {
+            plan = [];
+            summary.innerHTML = `<span style="color: var(--danger);"></span>`;
+            summary.firstElementChild.textContent = e.message;
+            previewContainer.innerHTML = '';
+            importBtn.textContent = 'Apply';
+        }
+    };
+
+    let previewTimer = null;
+    textArea.oninput = () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(preview, 300);
+    };
+    modeSelect.onchange = () => {
+        storageImportMode = modeSelect.value;
+        preview();
+    };
+
+    const importBtn = panel.addButton('Apply', async () => {
+        const batch = storageImporter.toBatch(plan);
+        if (batch.set.length === 0 && batch.remove.length === 0) return;
+        if (batch.remove.length > 0 && !confirm(`Remove ${batch.remove.length} key${batch.remove.length === 1 ? '' : 's'} that are not in the import?`)) return;
+
+        try {
+            await manager.batch(batch);
+        } catch (e) {
+            alert('Import failed: ' + e.message);
+            return;
+        }
+        panel.close();
+        loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
+    });
+}
 
-                    try {
-                        const handle = await window.showSaveFilePicker({
-                            suggestedName: 'cookies.txt',
-                            types: [{
-                                description: 'Netscape Cookie File',
-                                accept: { 'text/plain': ['.txt'] }
-                            }],
-                        });
-                        const writable = await handle.createWritable();
-                        await writable.write(netscapeStr);
-                        await writable.close();
-                    } catch (e) {
-                        if (e.name !== 'AbortError') {
-                            const blob = new Blob([netscapeStr], { type: 'text/plain' });
-                            const url = URL.createObjectURL(blob);
-                            const a = document.createElement('a');
-                            a.href = url;
-                            a.download = 'cookies.txt';
-                            a.click();
-                            URL.revokeObjectURL(url);
-                        }
-                    }
-                }
-            }
-        ],
-        onUpdate: async (newItem, oldItem) => {
-            try {
-                // If name changed, we must delete the old one first
-                if (newItem.name !== oldItem.name) {
-                    await cookiesManager.delete(oldItem);
-                }
+// Largest keys listed in the usage summary
+const STORAGE_USAGE_TOP_N = 5;
 
-                let cookieUrl = `http${newItem.secure ? 's' : ''}://${newItem.domain.startsWith('.') ? newItem.domain.substring(1) : newItem.domain}${newItem.path}`;
-                const newCookie = {
-                    url: cookieUrl,
-                    name: newItem.name,
-                    value: newItem.value,
-                    domain: newItem.domain,
-                    path: newItem.path,
-                    secure: newItem.secure,
-                    httpOnly: newItem.httpOnly,
-                    sameSite: newItem.sameSite,
-                    storeId: newItem.storeId,
-                    expirationDate: newItem.expirationDate
-                };
-                if (!newItem.expirationDate) delete newCookie.expirationDate;
-                await cookiesManager.set(newCookie);
-                loadView('cookies');
-            } catch (e) {
-                console.error('Failed to update property:', e);
-                alert(`Update failed: ${e.message}`);
-            }
-        },
-        enableGlobalContextMenu: false // We use setupAddContextMenu now
+function renderStorageUsage(section, items, type, onSelect) {
+    const report = storageUsage.report(items, STORAGE_USAGE_TOP_N);
+    const color = report.level === 'ok' ? 'var(--accent-primary)' : LIMIT_LEVEL_COLORS[report.level];
+    const scope = type === 'localStorage' ? 'this origin' : 'this tab and origin';
+
+    section.innerHTML = `
+        <div class="section-header">
+            <h4>Usage · ${storageUsage.format(report.total)} of ${storageUsage.format(report.quota)}</h4>
+            <span class="section-meta">${report.count} key${report.count === 1 ? '' : 's'} · UTF-16, 2 bytes per character</span>
+        </div>
+        <div style="height: 6px; background: var(--bg-main); border-radius: 3px; overflow: hidden; margin-bottom: 6px;">
+            <div style="height: 100%; width: ${Math.min(100, report.total / report.quota * 100)}%; background: ${color};"></div>
+        </div>
+        <div class="section-meta" style="margin-bottom: 8px;${report.level === 'ok' ? '' : ` color: ${LIMIT_LEVEL_COLORS[report.level]};`}">
+            ${storageUsage.format(report.headroom)} left for ${scope} before setItem throws QuotaExceededError
+            (about ${report.headroomChars.toLocaleString()} more characters).
+        </div>
+        <div id="storage-usage-top"></div>
+    `;
+
+    const list = section.querySelector('#storage-usage-top');
+    report.top.forEach(({ item, bytes }) => {
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.style.cursor = 'pointer';
+        row.title = 'Show key';
+        row.innerHTML = `
+            <span style="width: 200px; font-family: monospace;" class="row-main"></span>
+            <span style="width: 120px;">
+                <div style="height: 6px; background: var(--bg-main); border-radius: 3px; overflow: hidden;">
+                    <div style="height: 100%; width: ${report.total ? bytes / report.total * 100 : 0}%; background: var(--accent-primary);"></div>
+                </div>
+            </span>
+            <span style="width: 80px; text-align: right;">${storageUsage.format(bytes)}</span>
+            <span class="row-main section-meta">${report.total ? (bytes / report.total * 100).toFixed(1) : 0}% of used</span>
+        `;
+        row.querySelector('.row-main').textContent = item.key;
+        row.onclick = () => onSelect(item);
+        list.appendChild(row);
     });
+}
 
-    setupAddContextMenu(container, [
-        {
-            label: 'Add New Cookie',
-            action: () => {
-                let currentDomain = '';
-                try { currentDomain = new URL(url).hostname; } catch (e) { }
+function stopStorageMutationFeed() {
+    if (unsubscribeStorageMutations) {
+        unsubscribeStorageMutations();
+        unsubscribeStorageMutations = null;
+    }
+}
 
-                showNewItemModal('Add New Cookie', [
-                    { key: 'name', label: 'Name', default: 'new_cookie' },
-                    { key: 'value', label: 'Value', default: '' },
-                    { key: 'domain', label: 'Domain', default: currentDomain },
-                    { key: 'path', label: 'Path', default: '/' },
-                    { key: 'expiry', label: 'Expiration', type: 'datetime-local' }
-                ], async (result) => {
-                    if (!result.name) return;
-                    try {
-                        const cookieDetails = {
-                            name: result.name,
-                            value: result.value,
-                            domain: result.domain,
-                            path: result.path,
-                            secure: false
-                        };
-                        if (result.expiry) {
-                            const date = new Date(result.expiry);
-                            if (!isNaN(date.getTime())) {
-                                cookieDetails.expirationDate = date.getTime() / 1000;
-                            }
-                        }
-                        await cookiesManager.set(cookieDetails);
-                        loadView('cookies');
-                    } catch (e) {
-                        alert('Add Cookie Failed: ' + e.message);
-                    }
-                });
+const STORAGE_MUTATION_COLORS = {
+    set: 'var(--accent-primary)',
+    remove: 'orange',
+    clear: 'var(--danger)'
+};
+
+function openStorageMutation(mutation) {
+    const lang = (text) => typeof text === 'string' && /^\s*[{[]/.test(text) ? 'json' : 'text';
+    const manager = mutation.storageType === 'localStorage' ? localStorageManager : sessionStorageManager;
+    const writeBack = async (value) => {
+        await manager.set(mutation.key, value);
+    };
+
+    if (mutation.op === 'clear') {
+        // The snapshot of everything that was cleared; saving does not restore it
+        editor.open(mutation.oldValue, 'json', () => { }, `mutation-${mutation.timestamp}`);
+    } else if (mutation.op === 'remove') {
+        editor.open(mutation.oldValue, lang(mutation.oldValue), writeBack, `mutation-${mutation.timestamp}`);
+    } else {
+        // New value, with the old one as the editor's original view; saving writes the key back
+        editor.open(mutation.newValue, lang(mutation.newValue), writeBack, `mutation-${mutation.timestamp}`, mutation.oldValue === null ? '' : mutation.oldValue);
+    }
+}
+
+function renderStorageMutationLog(section, type) {
+    const entries = storageMutationLog.filter(m => m.storageType === type &&
+        (!storageLogFilter || (m.key || '').toLowerCase().includes(storageLogFilter.toLowerCase())));
+
+    if (!section.querySelector('#mutation-list')) {
+        section.innerHTML = `
+            <div class="section-header">
+                <h4>Mutation Log <span id="mutation-count" class="section-meta"></span></h4>
+                <div style="display: flex; gap: 8px;">
+                    <input id="mutation-filter" type="search" placeholder="Filter by key..." class="toolbar-btn" style="width: 140px; text-align: left;">
+                    <button class="toolbar-btn" id="mutation-pause-btn"></button>
+                    <button class="toolbar-btn" id="mutation-clear-btn">Clear</button>
+                    <button class="toolbar-btn" id="mutation-export-btn">Export JSON</button>
+                </div>
+            </div>
+            <div id="mutation-list" style="max-height: 240px; overflow: auto;"></div>
+        `;
+
+        const filterInput = section.querySelector('#mutation-filter');
+        filterInput.value = storageLogFilter;
+        filterInput.oninput = () => {
+            storageLogFilter = filterInput.value;
+            renderStorageMutationLog(section, type);
+        };
+        section.querySelector('#mutation-pause-btn').onclick = () => {
+            storageLogPaused = !storageLogPaused;
+            renderStorageMutationLog(section, type);
+        };
+        section.querySelector('#mutation-clear-btn').onclick = () => {
+            for (let i = storageMutationLog.length - 1; i >= 0; i--) {
+                if (storageMutationLog[i].storageType === type) storageMutationLog.splice(i, 1);
             }
-        }
-    ]);
+            renderStorageMutationLog(section, type);
+        };
+        section.querySelector('#mutation-export-btn').onclick = () => {
+            const current = storageMutationLog.filter(m => m.storageType === type &&
+                (!storageLogFilter || (m.key || '').toLowerCase().includes(storageLogFilter.toLowerCase())));
+            saveTextFile(JSON.stringify(current, null, 2), `${type}-mutations.json`, 'JSON File', 'application/json', ['.json']);
+        };
+    }
 
-    // Pass raw cookies to grid (don't convert date to string in the object itself)
-    grid.render(cookies);
+    section.querySelector('#mutation-count').textContent = `(${entries.length}${storageLogPaused ? ', paused' : ''})`;
+    const pauseBtn = section.querySelector('#mutation-pause-btn');
+    pauseBtn.textContent = storageLogPaused ? 'Resume' : 'Pause';
+    pauseBtn.classList.toggle('active', storageLogPaused);
+
+    const list = section.querySelector('#mutation-list');
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="section-meta">No ${type} mutations recorded yet.</div>`;
+        return;
+    }
+
+    const preview = (val) => val === null ? '<span class="section-meta">(none)</span>' : escapeHtml(val.length > 60 ? val.substring(0, 60) + '...' : val);
+    list.innerHTML = '';
+    entries.slice(0, 200).forEach(mutation => {
+        const caller = mutation.stack.split('\n')[0] || '';
+        const row = document.createElement('div');
+        row.className = 'section-row';
+        row.style.cursor = 'pointer';
+        row.title = `Open in editor\n\n${mutation.stack}`;
+        row.innerHTML = `
+            <span style="width: 70px;" class="section-meta">${new Date(mutation.timestamp).toLocaleTimeString()}</span>
+            <span style="width: 50px; font-size: 10px; font-weight: 600; text-transform: uppercase; color: ${STORAGE_MUTATION_COLORS[mutation.op]};">${mutation.op}</span>
+            <span style="width: 130px; font-family: monospace;" class="row-main">${mutation.key === null ? '<span class="section-meta">(all keys)</span>' : escapeHtml(mutation.key)}</span>
+            <span class="row-main" style="font-family: monospace; font-size: 11px;">${mutation.op === 'clear' ? '' : `${preview(mutation.oldValue)} → ${preview(mutation.newValue)}`}</span>
+            <span class="row-main section-meta" style="max-width: 180px;">${escapeHtml(caller.replace(/^at /, ''))}</span>
+        `;
+        row.onclick = () => openStorageMutation(mutation);
+        list.appendChild(row);
+    });
 }
 
 async function renderPageStorage(container, tabId, manager, type) {
     try {
-        await manager.connect(tabId);
-        const items = await manager.getAll();
+        await manager.connect(tabId, currentFrameId);
+        const items = (await manager.getAll()).map(item => ({ ...item, size: storageUsage.bytes(item) }));
 
-        const grid = new DataGrid(container, {
+        container.innerHTML = `
+            <div class="view-toolbar">
+                <button class="toolbar-btn${storageMonitoring ? ' active' : ''}" id="storage-monitor-btn" title="Log every setItem/removeItem/clear call made by the page, with its stack trace">Monitor Changes</button>
+                <button class="toolbar-btn" id="storage-import-btn" title="Write many keys at once from a JSON dump">Import...</button>
+                <select id="storage-view-mode" class="toolbar-btn" title="Show keys as a flat list or grouped by namespace">
+                    <option value="list">List</option>
+                    <option value="tree">Tree</option>
+                </select>
+                <select id="storage-tree-delimiter" class="toolbar-btn" title="Namespace delimiter">
+                    <option value=":">Split on :</option>
+                    <option value=".">Split on .</option>
+                    <option value="/">Split on /</option>
+                </select>
+            </div>
+            <div id="storage-monitor-section" class="view-section" style="display:${storageMonitoring ? 'block' : 'none'};"></div>
+            <div id="storage-usage-section" class="view-section"></div>
+            <div id="storage-grid"></div>
+            <div id="storage-tree"></div>
+        `;
+
+        const grid = new DataGrid(container.querySelector('#storage-grid'), {
             defaultSortCol: 'key',
             columns: [
                 { key: 'key', label: 'Key', width: '100px' },
@@ -739,8 +2442,10 @@ async function renderPageStorage(container, tabId, manager, type) {
                     key: 'value',
                     label: 'Value',
                     render: (val, item) => renderValueWithPreviews(val, item)
-                }
+                },
+                { key: 'size', label: 'Size', width: '70px', render: (val) => storageUsage.format(val) }
             ],
+            sizeOf: (item) => storageUsage.bytes(item),
             onEdit: async (item) => {
                 const val = item.value;
                 const codec = codecManager.detect(val);
@@ -783,11 +2488,7 @@ async function renderPageStorage(container, tabId, manager, type) {
                         return;
                     }
 
-                    await chrome.tabs.sendMessage(tabId, {
-                        type: type === 'localStorage' ? 'setLocalStorage' : 'setSessionStorage',
-                        key: item.key,
-                        value: saveVal
-                    });
+                    await manager.set(item.key, saveVal);
                     const activeNav = document.querySelector('.nav-item.active');
                     if (activeNav) loadView(activeNav.dataset.target);
                 }, item.key, val); // Pass original value as 5th arg
@@ -801,11 +2502,7 @@ async function renderPageStorage(container, tabId, manager, type) {
                 try {
                     const keys = new Set(items.map(i => i.key));
                     const newKey = generateDuplicateName(item.key, keys);
-                    await chrome.tabs.sendMessage(tabId, {
-                        type: type === 'localStorage' ? 'setLocalStorage' : 'setSessionStorage',
-                        key: newKey,
-                        value: item.value
-                    });
+                    await manager.set(newKey, item.value);
                     loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
                 } catch (e) {
                     console.error('Failed to duplicate storage item:', e);
@@ -819,11 +2516,7 @@ async function renderPageStorage(container, tabId, manager, type) {
                         await manager.delete(oldItem);
                     }
 
-                    await chrome.tabs.sendMessage(tabId, {
-                        type: type === 'localStorage' ? 'setLocalStorage' : 'setSessionStorage',
-                        key: newItem.key,
-                        value: newItem.value
-                    });
+                    await manager.set(newItem.key, newItem.value);
 
                     loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
                 } catch (e) {
@@ -831,9 +2524,115 @@ async function renderPageStorage(container, tabId, manager, type) {
                     alert(`Update failed: ${e.message}`);
                 }
             },
+            onBulkDelete: async (selected) => {
+                for (const item of selected) {
+                    await manager.delete(item);
+                }
+                loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
+            },
+            onBulkDecode: (selected) => showBulkDecode(selected),
             enableGlobalContextMenu: false
         });
 
+        // --- Tree View ---
+        const reload = () => loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
+        const tree = new KeyTree(container.querySelector('#storage-tree'), {
+            delimiter: storageTreeDelimiter,
+            expanded: storageTreeExpanded,
+            onEdit: (item) => grid.onEdit(item),
+            sizeOf: (item) => storageUsage.bytes(item),
+            renderValue: (val) => escapeHtml(val.length > 200 ? val.substring(0, 200) + '...' : val),
+            groupActions: [
+                {
+                    label: 'Copy',
+                    action: (groupItems) => navigator.clipboard.writeText(JSON.stringify(Object.fromEntries(groupItems.map(i => [i.key, i.value])), null, 2))
+                },
+                {
+                    label: 'Export',
+                    action: (groupItems, prefix) => saveTextFile(
+                        JSON.stringify(Object.fromEntries(groupItems.map(i => [i.key, i.value])), null, 2),
+                        `${type}-${prefix.replace(/[^\w.-]+/g, '_')}.json`, 'JSON File', 'application/json', ['.json'])
+                },
+                {
+                    label: 'Delete',
+                    danger: true,
+                    action: async (groupItems, prefix) => {
+                        if (!confirm(`Delete ${groupItems.length} key${groupItems.length === 1 ? '' : 's'} under "${prefix}"?`)) return;
+                        for (const item of groupItems) {
+                            await manager.delete(item);
+                        }
+                        reload();
+                    }
+                }
+            ]
+        });
+
+        const modeSelect = container.querySelector('#storage-view-mode');
+        const delimiterSelect = container.querySelector('#storage-tree-delimiter');
+        modeSelect.value = storageViewMode;
+        delimiterSelect.value = storageTreeDelimiter;
+        const treeMode = storageViewMode === 'tree';
+        delimiterSelect.style.display = treeMode ? '' : 'none';
+        container.querySelector('#storage-grid').style.display = treeMode ? 'none' : '';
+        modeSelect.onchange = () => {
+            storageViewMode = modeSelect.value;
+            reload();
+        };
+        delimiterSelect.onchange = () => {
+            storageTreeDelimiter = delimiterSelect.value;
+            storageTreeExpanded.clear();
+            reload();
+        };
+
+        const usageSection = container.querySelector('#storage-usage-section');
+        // The tree has no row to scroll to, so open the value instead
+        const showUsageItem = (item) => treeMode ? grid.onEdit(item) : grid.highlightRow(grid.rowKey(item), true);
+
+        // --- Mutation Monitor ---
+        const monitorSection = container.querySelector('#storage-monitor-section');
+        const subscribe = () => {
+            stopStorageMutationFeed();
+            unsubscribeStorageMutations = storageMonitor.subscribe((mutation) => {
+                if (mutation.storageType !== type) return;
+
+                // Keep the grid live even while the log is paused
+                if (mutation.op === 'set') grid.upsertItem({ key: mutation.key, value: mutation.newValue, type, size: storageUsage.bytes({ key: mutation.key, value: mutation.newValue }) });
+                else if (mutation.op === 'remove') grid.removeItem({ key: mutation.key });
+                else grid.render([]);
+                if (treeMode) tree.render(grid.data);
+                renderStorageUsage(usageSection, grid.data, type, showUsageItem);
+
+                if (storageLogPaused) return;
+                storageMutationLog.unshift(mutation);
+                if (storageMutationLog.length > STORAGE_MUTATION_LOG_LIMIT) storageMutationLog.pop();
+                renderStorageMutationLog(monitorSection, type);
+            });
+        };
+
+        container.querySelector('#storage-import-btn').onclick = () => showStorageImportModal(manager, type);
+
+        container.querySelector('#storage-monitor-btn').onclick = async () => {
+            try {
+                if (storageMonitoring) {
+                    await storageMonitor.stop();
+                    stopStorageMutationFeed();
+                } else {
+                    await storageMonitor.start(tabId, currentFrameId);
+                }
+                storageMonitoring = !storageMonitoring;
+            } catch (e) {
+                alert('Failed to toggle monitoring: ' + e.message);
+            }
+            loadView(type === 'localStorage' ? 'local-storage' : 'session-storage');
+        };
+
+        if (storageMonitoring) {
+            // The page may have reloaded since monitoring started
+            await storageMonitor.start(tabId, currentFrameId);
+            subscribe();
+            renderStorageMutationLog(monitorSection, type);
+        }
+
         if (type === 'localStorage') {
             setupAddContextMenu(container, [
                 {
@@ -844,11 +2643,7 @@ async function renderPageStorage(container, tabId, manager, type) {
                             { key: 'value', label: 'Value', default: '' }
                         ], async (result) => {
                             if (!result.key) return;
-                            await chrome.tabs.sendMessage(tabId, {
-                                type: 'setLocalStorage',
-                                key: result.key,
-                                value: result.value
-                            });
+                            await manager.set(result.key, result.value);
                             loadView('local-storage');
                         });
                     }
@@ -860,12 +2655,111 @@ async function renderPageStorage(container, tabId, manager, type) {
         }
 
         grid.render(items);
+        if (treeMode) tree.render(items);
+        renderStorageUsage(usageSection, items, type, showUsageItem);
     } catch (e) {
         console.error('Storage rendering failed:', e);
         throw e;
     }
 }
 
+// Index and key-range query per "db/store", kept while browsing
+const indexedDBQueries = new Map();
+
+const IDB_DIRECTIONS = {
+    next: 'Ascending',
+    prev: 'Descending',
+    nextunique: 'Ascending, unique',
+    prevunique: 'Descending, unique'
+};
+
+// Bounds are typed as JSON (42, "abc", [1, "a"]); anything that does not parse is a string key
+function parseIDBKeyInput(text) {
+    if (text.trim() === '') return undefined;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// Keys JSON cannot carry arrive tagged as { $idbKey, value } (see encodeKey in content/inspector.js)
+function describeIDBKey(key) {
+    if (Array.isArray(key)) return `[${key.map(describeIDBKey).join(', ')}]`;
+    if (key && typeof key === 'object') {
+        if (key.$idbKey === 'date') return `Date(${new Date(key.value).toISOString()})`;
+        if (key.$idbKey === 'binary') return `ArrayBuffer(${key.value.length} bytes)`;
+        if (key.$idbKey === 'number') return key.value;
+    }
+    return JSON.stringify(key);
+}
+
+function formatIDBKey(key) {
+    if (key === undefined) return '';
+    return escapeHtml(typeof key === 'string' ? key : describeIDBKey(key));
+}
+
+/**
+ * Index selector, key-range bounds and direction for one object store.
+ * @param {HTMLElement} section
+ * @param {{ keyPath: any, autoIncrement: boolean, indexes: Array<object> }} info From IndexedDBManager.getStoreInfo
+ * @param {object|null} query Current query, null for the whole store
+ * @param {(query: object|null) => void} onRun
+ */
+function renderIndexedDBQueryBar(section, info, query, onRun) {
+    const current = query || { indexName: null, lower: undefined, upper: undefined, lowerOpen: false, upperOpen: false, direction: 'next' };
+    const describePath = (keyPath) => Array.isArray(keyPath) ? `[${keyPath.join(', ')}]` : (keyPath === null ? 'out-of-line' : keyPath || '(value)');
+
+    section.innerHTML = `
+        <div style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
+            <select id="idb-index" class="toolbar-btn" title="Index to walk">
+                <option value="">Primary key (${escapeHtml(describePath(info.keyPath))}${info.autoIncrement ? ', auto-increment' : ''})</option>
+                ${info.indexes.map(index => `
+                    <option value="${escapeHtml(index.name)}">${escapeHtml(index.name)} (${escapeHtml(describePath(index.keyPath))}${index.unique ? ', unique' : ''}${index.multiEntry ? ', multi-entry' : ''})</option>
+                `).join('')}
+            </select>
+            <input id="idb-lower" type="text" placeholder="Lower bound" spellcheck="false" class="toolbar-btn" style="width: 120px; text-align: left; font-family: monospace;">
+            <label class="section-meta"><input type="checkbox" id="idb-lower-open"> open</label>
+            <input id="idb-upper" type="text" placeholder="Upper bound" spellcheck="false" class="toolbar-btn" style="width: 120px; text-align: left; font-family: monospace;">
+            <label class="section-meta"><input type="checkbox" id="idb-upper-open"> open</label>
+            <select id="idb-direction" class="toolbar-btn">
+                ${Object.entries(IDB_DIRECTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <button class="toolbar-btn" id="idb-run">Query</button>
+            <button class="toolbar-btn" id="idb-reset"${query ? '' : ' disabled'}>Show All</button>
+        </div>
+        <div class="section-meta" style="margin-top: 6px;">Bounds are JSON keys: <code>42</code>, <code>"abc"</code>, <code>[2024, "a"]</code>; other text is used as a string.</div>
+    `;
+
+    const indexSelect = section.querySelector('#idb-index');
+    const lowerInput = section.querySelector('#idb-lower');
+    const upperInput = section.querySelector('#idb-upper');
+    const lowerOpen = section.querySelector('#idb-lower-open');
+    const upperOpen = section.querySelector('#idb-upper-open');
+    const directionSelect = section.querySelector('#idb-direction');
+
+    indexSelect.value = current.indexName || '';
+    lowerInput.value = current.lower === undefined ? '' : JSON.stringify(current.lower);
+    upperInput.value = current.upper === undefined ? '' : JSON.stringify(current.upper);
+    lowerOpen.checked = current.lowerOpen;
+    upperOpen.checked = current.upperOpen;
+    directionSelect.value = current.direction;
+
+    const run = () => onRun({
+        indexName: indexSelect.value || null,
+        lower: parseIDBKeyInput(lowerInput.value),
+        upper: parseIDBKeyInput(upperInput.value),
+        lowerOpen: lowerOpen.checked,
+        upperOpen: upperOpen.checked,
+        direction: directionSelect.value
+    });
+    section.querySelector('#idb-run').onclick = run;
+    [lowerInput, upperInput].forEach(input => input.onkeydown = (e) => { if (e.key === 'Enter') run(); });
+    indexSelect.onchange = run;
+    directionSelect.onchange = run;
+    section.querySelector('#idb-reset').onclick = () => onRun(null);
+}
+
 async function renderIndexedDB(container, tabId) {
     const addAction = () => {
         showNewItemModal('Create New IndexedDB Store', [
@@ -884,7 +2778,44 @@ async function renderIndexedDB(container, tabId) {
 
     setupAddContextMenu(container, [{ label: 'Add New Database / Store', action: addAction }]);
 
-    await indexedDBManager.connect(tabId);
+    // Dropping stores and databases waits for every other connection to close
+    const reportBlocked = (result, what) => {
+        if (result && result.blocked) {
+            alert(`${what} is waiting for the page to close its connection to the database. Reload the page (and close other tabs of this site) to let it finish.`);
+        }
+    };
+
+    const clearStore = async (dbName, storeName, onDone) => {
+        if (!confirm(`Delete every record in "${dbName} / ${storeName}"?`)) return;
+        try {
+            await indexedDBManager.clearStore(dbName, storeName);
+        } catch (e) {
+            alert('Clear Failed: ' + e.message);
+        }
+        onDone();
+    };
+
+    const deleteStore = async (dbName, storeName) => {
+        if (!confirm(`Delete the object store "${storeName}" and all its records from "${dbName}"? This bumps the database version.`)) return;
+        try {
+            reportBlocked(await indexedDBManager.deleteStore(dbName, storeName), `Deleting "${storeName}"`);
+        } catch (e) {
+            alert('Delete Store Failed: ' + e.message);
+        }
+        renderIndexedDB(container, tabId);
+    };
+
+    const deleteDatabase = async (dbName) => {
+        if (!confirm(`Delete the database "${dbName}" with all its stores?`)) return;
+        try {
+            reportBlocked(await indexedDBManager.deleteDatabase(dbName), `Deleting "${dbName}"`);
+        } catch (e) {
+            alert('Delete Database Failed: ' + e.message);
+        }
+        renderIndexedDB(container, tabId);
+    };
+
+    await indexedDBManager.connect(tabId, currentFrameId);
     const dbs = await indexedDBManager.getDatabases();
 
     if (dbs.length === 0) {
@@ -899,10 +2830,16 @@ async function renderIndexedDB(container, tabId) {
     dbs.forEach(db => {
         const dbCard = document.createElement('div');
         dbCard.style.marginBottom = '16px';
-        dbCard.innerHTML = `<h3 style="font-size: 14px; margin-bottom: 8px;">${db.name} (v${db.version})</h3>`;
+        dbCard.innerHTML = `<h3 style="font-size: 14px; margin-bottom: 8px;" title="Right-click for database actions"></h3>`;
+        const dbTitle = dbCard.querySelector('h3');
+        dbTitle.textContent = `${db.name} (v${db.version})`;
+        dbTitle.oncontextmenu = (e) => {
+            e.stopPropagation();
+            openContextMenu(e, [{ label: 'Delete Database...', action: () => deleteDatabase(db.name), danger: true }]);
+        };
 
         if (db.stores.length === 0) {
-            dbCard.innerHTML += `<div style="color: var(--text-secondary); font-size: 13px;">No stores</div>`;
+            dbCard.insertAdjacentHTML('beforeend', `<div style="color: var(--text-secondary); font-size: 13px;">No stores</div>`);
         } else {
             const storesList = document.createElement('div');
             storesList.style.display = 'flex';
@@ -917,16 +2854,31 @@ async function renderIndexedDB(container, tabId) {
                 chip.style.backgroundColor = 'var(--bg-tertiary)';
                 chip.style.border = '1px solid var(--border-color)';
                 chip.style.cursor = 'pointer';
+                chip.title = 'Right-click for store actions';
+                chip.oncontextmenu = (e) => {
+                    e.stopPropagation();
+                    openContextMenu(e, [
+                        { label: 'Open', action: () => chip.onclick() },
+                        { label: 'Clear Store...', action: () => clearStore(db.name, storeName, () => renderIndexedDB(container, tabId)), danger: true },
+                        { label: 'Delete Store...', action: () => deleteStore(db.name, storeName), danger: true }
+                    ]);
+                };
 
                 chip.onclick = async () => {
                     // Manual call to same container updates
                     container.innerHTML = `<div style="padding: 16px; border-bottom: 1px solid var(--border-color); display: flex; align-items: center; gap: 8px;">
                 <button id="back-btn" class="icon-btn" style="font-size: 13px; font-weight: 500;">Back</button>
-                <span>${db.name} / ${storeName}</span>
+                <span id="store-title" style="flex: 1;"></span>
+                <button id="clear-store-btn" class="toolbar-btn">Clear Store</button>
+                <button id="delete-store-btn" class="toolbar-btn" style="color: var(--danger);">Delete Store</button>
             </div>
+            <div id="store-query" class="view-section"></div>
             <div id="store-data-grid" class="content-area">Loading...</div>`;
 
                     document.getElementById('back-btn').onclick = () => renderIndexedDB(container, tabId);
+                    document.getElementById('store-title').textContent = `${db.name} / ${storeName}`;
+                    document.getElementById('clear-store-btn').onclick = () => clearStore(db.name, storeName, () => renderIndexedDBStore(db.name, storeName));
+                    document.getElementById('delete-store-btn').onclick = () => deleteStore(db.name, storeName);
 
                     const addEntryAction = () => {
                         showNewItemModal('Add New IndexedDB Entry', [
@@ -947,19 +2899,54 @@ async function renderIndexedDB(container, tabId) {
                         });
                     };
 
-                    setupAddContextMenu(container, [{ label: 'Add New Entry', action: addEntryAction }]);
+                    setupAddContextMenu(container, [
+                        { label: 'Add New Entry', action: addEntryAction },
+                        { label: 'Clear Store...', action: () => clearStore(db.name, storeName, () => renderIndexedDBStore(db.name, storeName)), danger: true },
+                        { label: 'Delete Store...', action: () => deleteStore(db.name, storeName), danger: true }
+                    ]);
 
+                    const queryKey = `${db.name}/${storeName}`;
                     const renderIndexedDBStore = async (dbName, sName) => {
                         try {
-                            const data = await indexedDBManager.getStoreData(dbName, sName);
+                            const query = indexedDBQueries.get(queryKey) || null;
+                            const info = await indexedDBManager.getStoreInfo(dbName, sName);
+                            const querySection = document.getElementById('store-query');
+                            if (querySection) {
+                                renderIndexedDBQueryBar(querySection, info, query, (next) => {
+                                    if (next) indexedDBQueries.set(queryKey, next);
+                                    else indexedDBQueries.delete(queryKey);
+                                    renderIndexedDBStore(dbName, sName);
+                                });
+                            }
+
+                            // First page only; the grid fetches the rest as it scrolls
+                            const firstPage = await indexedDBManager.getStorePage(dbName, sName, { query });
+                            let next = firstPage.next;
                             const gridContainer = document.getElementById('store-data-grid');
                             if (!gridContainer) return;
                             gridContainer.innerHTML = '';
 
+                            const keyColumns = query && query.indexName
+                                ? [
+                                    { key: 'indexKey', label: `Index Key (${escapeHtml(query.indexName)})`, width: '150px', render: (val) => formatIDBKey(val) },
+                                    { key: 'key', label: 'Primary Key', width: '150px', render: (val) => formatIDBKey(val) }
+                                ]
+                                : [{ key: 'key', label: query ? 'Primary Key' : 'Key', width: '150px', render: (val) => formatIDBKey(val) }];
+
                             const grid = new DataGrid(gridContainer, {
-                                defaultSortCol: 'key',
+                                // Rows arrive in cursor order; clicking a header sorts only what is loaded
+                                defaultSortCol: null,
+                                // A non-unique or multiEntry index lists one record under several index keys
+                                rowKey: query && query.indexName ? (item) => JSON.stringify([item.indexKey, item.key]) : null,
+                                hasMore: !!next,
+                                totalCount: firstPage.total,
+                                onLoadMore: async () => {
+                                    const page = await indexedDBManager.getStorePage(dbName, sName, { query, after: next });
+                                    next = page.next;
+                                    return { items: page.data, hasMore: !!next };
+                                },
                                 columns: [
-                                    { key: 'key', label: 'Key', width: '150px' },
+                                    ...keyColumns,
                                     {
                                         key: 'value',
                                         label: 'Value',
@@ -968,6 +2955,17 @@ async function renderIndexedDB(container, tabId) {
                                     }
                                 ],
                                 enableGlobalContextMenu: false,
+                                onBulkDelete: async (items) => {
+                                    try {
+                                        for (const item of items) {
+                                            await indexedDBManager.deleteItem(dbName, sName, item.key);
+                                        }
+                                    } catch (e) {
+                                        alert('Delete Failed: ' + e.message);
+                                    }
+                                    renderIndexedDBStore(dbName, sName);
+                                },
+                                onBulkDecode: (items) => showBulkDecode(items, (item) => String(item.key)),
                                 onEdit: async (item) => {
                                     let val = item.value;
                                     let lang = 'json';
@@ -995,13 +2993,23 @@ async function renderIndexedDB(container, tabId) {
                                     }, item.key, item.value);
                                 },
                                 onDelete: async (item) => {
-                                    await indexedDBManager.deleteItem(dbName, sName, item.key);
+                                    if (!confirm(`Delete the record with key ${describeIDBKey(item.key)}?`)) return;
+                                    try {
+                                        await indexedDBManager.deleteItem(dbName, sName, item.key);
+                                    } catch (e) {
+                                        alert('Delete Failed: ' + e.message);
+                                    }
                                     renderIndexedDBStore(dbName, sName);
                                 },
                                 onDuplicate: async (item) => {
                                     try {
-                                        const keys = new Set(data.map(i => i.key));
-                                        const newKey = generateDuplicateName(item.key, keys);
+                                        // Only part of the store may be loaded, so ask the store whether a name is taken
+                                        const keys = new Set(grid.data.map(i => i.key));
+                                        let newKey = generateDuplicateName(item.key, keys);
+                                        while ((await indexedDBManager.getStorePage(dbName, sName, { query: { lower: newKey, upper: newKey }, pageSize: 1 })).data.length > 0) {
+                                            keys.add(newKey);
+                                            newKey = generateDuplicateName(item.key, keys);
+                                        }
                                         await indexedDBManager.putItem(dbName, sName, newKey, item.value);
                                         renderIndexedDBStore(dbName, sName);
                                     } catch (e) {
@@ -1023,7 +3031,7 @@ async function renderIndexedDB(container, tabId) {
                                     }
                                 }
                             });
-                            grid.render(data);
+                            grid.render(firstPage.data);
                         } catch (e) {
                             const gridContainer = document.getElementById('store-data-grid');
                             if (gridContainer) gridContainer.innerHTML = `<div style="color:var(--danger); padding:16px;">Error: ${e.message}</div>`;
@@ -1220,6 +3228,12 @@ async function renderServiceWorkers(container) {
 
 import { DebuggerManager } from './modules/DebuggerManager.js';
 const debuggerManager = new DebuggerManager();
+import { CookieNetworkTracer } from './modules/CookieNetworkTracer.js';
+const cookieNetworkTracer = new CookieNetworkTracer(debuggerManager);
+
+// Deep Storage tab and the cookie selected in the network trace, kept across re-renders
+let deepStorageTab = 'overview';
+let selectedNetworkCookie = null;
 
 async function renderDeepStorage(container, origin) {
     if (!currentTabId) return;
@@ -1230,6 +3244,13 @@ async function renderDeepStorage(container, origin) {
         debuggerManager.setTabId(currentTabId);
         await debuggerManager.attach();
 
+        if (deepStorageTab === 'cookie-network') {
+            renderDeepStorageTabs(container, origin);
+            await renderCookieNetworkTrace(container.querySelector('#deep-storage-tab'));
+            return;
+        }
+        if (cookieNetworkTracer.recording) await cookieNetworkTracer.stop();
+
         container.innerHTML = '<div class="empty-state">Fetching deep storage data...</div>';
 
         let html = '<div style="padding:16px;">';
@@ -1252,7 +3273,8 @@ async function renderDeepStorage(container, origin) {
 
         html += '</div>';
 
-        container.innerHTML = html;
+        renderDeepStorageTabs(container, origin);
+        container.querySelector('#deep-storage-tab').innerHTML = html;
 
         // --- Trust Tokens Render ---
         const tokensContainer = container.querySelector('#trust-tokens-grid');
@@ -1295,6 +3317,320 @@ async function renderDeepStorage(container, origin) {
     }
 }
 
+function renderDeepStorageTabs(container, origin) {
+    container.innerHTML = `
+        <div class="view-toolbar">
+            <button class="toolbar-btn" data-tab="overview">Overview</button>
+            <button class="toolbar-btn" data-tab="cookie-network">Cookie Network Trace</button>
+        </div>
+        <div id="deep-storage-tab"></div>
+    `;
+    container.querySelectorAll('[data-tab]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === deepStorageTab);
+        btn.onclick = () => {
+            if (btn.dataset.tab === deepStorageTab) return;
+            deepStorageTab = btn.dataset.tab;
+            renderDeepStorage(container, origin);
+        };
+    });
+}
+
+const NETWORK_EVENT_LABELS = {
+    'set': { label: 'Set', color: 'var(--success)' },
+    'sent': { label: 'Sent', color: 'var(--accent-primary)' },
+    'set-blocked': { label: 'Set blocked', color: 'var(--danger)' },
+    'send-blocked': { label: 'Not sent', color: 'orange' }
+};
+
+async function renderCookieNetworkTrace(section) {
+    section.innerHTML = `
+        <div style="padding: 16px;">
+            <div class="section-header">
+                <h4>Cookie Network Trace</h4>
+                <div style="display: flex; gap: 8px;">
+                    <button class="toolbar-btn" id="net-record-btn"></button>
+                    <button class="toolbar-btn" id="net-reload-btn" title="Reload the page to capture cookies from the first request">Reload Page</button>
+                    <button class="toolbar-btn" id="net-clear-btn">Clear</button>
+                </div>
+            </div>
+            <p class="section-meta" style="margin-bottom: 8px;">
+                Set-Cookie responses, Cookie request headers and Chrome's blocked reasons, from the Network domain of the debugger connection.
+            </p>
+            <div id="net-cookies" style="max-height: 200px; overflow: auto; margin-bottom: 12px;"></div>
+            <div id="net-timeline"></div>
+        </div>
+    `;
+
+    const recordBtn = section.querySelector('#net-record-btn');
+    const cookiesContainer = section.querySelector('#net-cookies');
+    const timelineContainer = section.querySelector('#net-timeline');
+
+    const renderTimeline = (timeline) => {
+        if (!timeline) {
+            timelineContainer.innerHTML = '<div class="section-meta">Select a cookie to see its timeline.</div>';
+            return;
+        }
+        timelineContainer.innerHTML = `<div class="section-meta" style="font-weight: 600; margin-bottom: 4px;">${escapeHtml(timeline.name)} · ${escapeHtml(timeline.domain)}</div>`;
+        [...timeline.events].reverse().forEach(event => {
+            const kind = NETWORK_EVENT_LABELS[event.kind];
+            const detail = event.reasons.length > 0
+                ? event.reasons.map(r => cookieNetworkTracer.describeReason(r)).join('; ')
+                : event.exemption ? `Exempt: ${event.exemption}` : (event.line || '');
+            const row = document.createElement('div');
+            row.className = 'section-row';
+            row.innerHTML = `
+                <span style="width: 70px;" class="section-meta">${new Date(event.timestamp).toLocaleTimeString()}</span>
+                <span style="width: 80px; font-size: 10px; font-weight: 600; text-transform: uppercase; color: ${kind.color};">${kind.label}</span>
+                <span class="row-main" style="font-family: monospace;" title="${escapeHtml(event.url)}">${escapeHtml(event.method)} ${escapeHtml(event.url || event.requestId)}${event.type ? ` <span class="section-meta">(${escapeHtml(event.type)})</span>` : ''}</span>
+                <span class="row-main section-meta" title="${escapeHtml(event.line || '')}">${escapeHtml(detail)}</span>
+            `;
+            timelineContainer.appendChild(row);
+        });
+    };
+
+    const render = () => {
+        recordBtn.textContent = cookieNetworkTracer.recording ? 'Stop Recording' : 'Start Recording';
+        recordBtn.classList.toggle('active', cookieNetworkTracer.recording);
+
+        const timelines = cookieNetworkTracer.getTimelines();
+        if (timelines.length === 0) {
+            cookiesContainer.innerHTML = `<div class="empty-state">${cookieNetworkTracer.recording ? 'Waiting for network traffic... Reload the page to capture it from the start.' : 'Not recording.'}</div>`;
+            renderTimeline(null);
+            return;
+        }
+
+        const grid = new DataGrid(cookiesContainer, {
+            defaultSortCol: 'lastSeen',
+            defaultSortDir: 'desc',
+            rowKey: (item) => item.key,
+            columns: [
+                { key: 'name', label: 'Cookie', width: '150px' },
+                { key: 'domain', label: 'Domain', width: '140px' },
+                { key: 'set', label: 'Set', width: '50px' },
+                { key: 'sent', label: 'Sent', width: '50px' },
+                {
+                    key: 'blocked',
+                    label: 'Blocked',
+                    width: '60px',
+                    render: (val) => val > 0 ? `<span style="color: var(--danger); font-weight: 600;">${val}</span>` : '0'
+                },
+                { key: 'lastSeen', label: 'Last Seen', width: '90px', render: (val) => new Date(val).toLocaleTimeString() }
+            ],
+            enableGlobalContextMenu: false
+        });
+        grid.render(timelines);
+        cookiesContainer.onclick = (e) => {
+            const row = e.target.closest('tr.data-row');
+            if (!row) return;
+            selectedNetworkCookie = row.dataset.rowKey;
+            render();
+        };
+
+        const selected = timelines.find(t => t.key === selectedNetworkCookie);
+        if (selected) grid.highlightRow(selected.key);
+        renderTimeline(selected);
+    };
+
+    // Coalesce bursts of network events into one render
+    let pending = null;
+    cookieNetworkTracer.onChange = () => {
+        if (pending || !section.isConnected) return;
+        pending = setTimeout(() => {
+            pending = null;
+            if (section.isConnected) render();
+        }, 300);
+    };
+
+    recordBtn.onclick = async () => {
+        try {
+            if (cookieNetworkTracer.recording) await cookieNetworkTracer.stop();
+            else await cookieNetworkTracer.start();
+        } catch (e) {
+            alert('Failed to toggle recording: ' + e.message);
+        }
+        render();
+    };
+    section.querySelector('#net-reload-btn').onclick = async () => {
+        if (!cookieNetworkTracer.recording) await cookieNetworkTracer.start();
+        await debuggerManager.sendCommand('Page.reload');
+        render();
+    };
+    section.querySelector('#net-clear-btn').onclick = () => {
+        cookieNetworkTracer.clear();
+        selectedNetworkCookie = null;
+        render();
+    };
+
+    if (!cookieNetworkTracer.recording) await cookieNetworkTracer.start();
+    render();
+}
+
+// Last search, kept across re-renders
+const findReplaceState = {
+    pattern: '',
+    replacement: '',
+    regex: false,
+    caseSensitive: false,
+    storages: Object.keys(SEARCHABLE_STORAGES)
+};
+
+async function renderFindReplace(container, tabId) {
+    await localStorageManager.connect(tabId, currentFrameId);
+    await sessionStorageManager.connect(tabId, currentFrameId);
+    await indexedDBManager.connect(tabId, currentFrameId);
+    setupAddContextMenu(container, []);
+
+    const state = findReplaceState;
+    container.innerHTML = `
+        <div class="view-section">
+            <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px; flex-wrap: wrap;">
+                <input id="find-pattern" type="text" placeholder="Find" spellcheck="false" class="toolbar-btn" style="flex: 1; min-width: 200px; text-align: left; font-family: monospace;">
+                <input id="find-replacement" type="text" placeholder="Replace with ($1, $& in regex mode)" spellcheck="false" class="toolbar-btn" style="flex: 1; min-width: 200px; text-align: left; font-family: monospace;">
+            </div>
+            <div style="display: flex; gap: 12px; align-items: center; flex-wrap: wrap;">
+                <label class="section-meta"><input type="checkbox" id="find-regex"> Regex</label>
+                <label class="section-meta"><input type="checkbox" id="find-case"> Match case</label>
+                <span class="section-meta">|</span>
+                ${Object.entries(SEARCHABLE_STORAGES).map(([key, label]) => `
+                    <label class="section-meta"><input type="checkbox" class="find-storage" value="${key}"> ${label}</label>
+                `).join('')}
+                <span style="flex: 1;"></span>
+                <button class="toolbar-btn" id="find-search-btn">Find All</button>
+                <button class="toolbar-btn" id="find-replace-btn" disabled>Replace All</button>
+            </div>
+            <div class="section-meta" style="margin-top: 8px;">
+                Values are searched as stored, then after decoding (JSON, LZString, Base64, URL) when that finds nothing;
+                decoded matches are re-encoded with the same codec on write.
+            </div>
+            <div id="find-summary" class="section-meta" style="margin-top: 8px;"></div>
+        </div>
+        <div id="find-results"></div>
+    `;
+
+    const patternInput = container.querySelector('#find-pattern');
+    const replacementInput = container.querySelector('#find-replacement');
+    const regexBox = container.querySelector('#find-regex');
+    const caseBox = container.querySelector('#find-case');
+    const storageBoxes = [...container.querySelectorAll('.find-storage')];
+    const summary = container.querySelector('#find-summary');
+    const replaceBtn = container.querySelector('#find-replace-btn');
+    patternInput.value = state.pattern;
+    replacementInput.value = state.replacement;
+    regexBox.checked = state.regex;
+    caseBox.checked = state.caseSensitive;
+    storageBoxes.forEach(box => box.checked = state.storages.includes(box.value));
+
+    const context = (m, showReplacement) => escapeHtml(m.before)
+        + `<mark style="background: rgba(255, 200, 0, 0.35); color: inherit;">${escapeHtml(m.match)}</mark>`
+        + (showReplacement && m.replaced !== m.match ? `<span style="color: var(--success);">→${escapeHtml(m.replaced)}</span>` : '')
+        + escapeHtml(m.after);
+
+    let hits = [];
+    const grid = new DataGrid(container.querySelector('#find-results'), {
+        columns: [
+            { key: 'storage', label: 'Storage', width: '90px', render: (val) => SEARCHABLE_STORAGES[val] },
+            { key: 'location', label: 'Location', width: '120px' },
+            {
+                key: 'key',
+                label: 'Key',
+                width: '140px',
+                render: (val, hit) => {
+                    const text = typeof val === 'string' ? val : JSON.stringify(val);
+                    if (!hit.keyMatches) return escapeHtml(text);
+                    return hit.keyMatches.matches.map(m => context(m, true)).join('<br>');
+                }
+            },
+            {
+                key: 'fields',
+                label: 'Matches in Value',
+                render: (fields) => fields.map(f => {
+                    const label = [f.path, f.source === 'decoded' ? `decoded ${f.codec}` : null].filter(Boolean).join(' · ');
+                    const more = f.count > f.matches.length ? `<div class="section-meta">and ${f.count - f.matches.length} more</div>` : '';
+                    return `<div style="font-family: monospace; white-space: pre-wrap; word-break: break-all;">${label ? `<span class="section-meta">${escapeHtml(label)}:</span> ` : ''}${f.matches.map(m => context(m, true)).join('<br>')}</div>${more}`;
+                }).join('')
+            },
+            {
+                key: 'error',
+                label: 'Status',
+                width: '120px',
+                render: (val, hit) => {
+                    if (val) return `<span style="color: var(--danger);">${escapeHtml(val)}</span>`;
+                    if (hit.newKey === hit.key && hit.newValue === hit.value) return '<span class="section-meta">Unchanged</span>';
+                    return '<span style="color: var(--success);">Ready</span>';
+                }
+            }
+        ],
+        rowKey: (hit) => String(hit.id),
+        enableGlobalContextMenu: false
+    });
+
+    const readState = () => {
+        state.pattern = patternInput.value;
+        state.replacement = replacementInput.value;
+        state.regex = regexBox.checked;
+        state.caseSensitive = caseBox.checked;
+        state.storages = storageBoxes.filter(box => box.checked).map(box => box.value);
+    };
+
+    const run = async () => {
+        readState();
+        replaceBtn.disabled = true;
+        if (!state.pattern) {
+            hits = [];
+            summary.textContent = '';
+            grid.render([]);
+            return;
+        }
+        summary.textContent = 'Searching...';
+        try {
+            hits = await storageSearch.search(state.storages, state.pattern, state, state.replacement);
+        } catch (e) {
+            hits = [];
+            summary.innerHTML = '<span style="color: var(--danger);"></span>';
+            summary.firstElementChild.textContent = e.message;
+            grid.render([]);
+            return;
+        }
+
+        const total = hits.reduce((sum, hit) => sum + (hit.keyMatches ? hit.keyMatches.count : 0) + hit.fields.reduce((n, f) => n + f.count, 0), 0);
+        const ready = hits.filter(hit => !hit.error && (hit.newKey !== hit.key || hit.newValue !== hit.value));
+        const unread = hits.filter(hit => hit.readError).length;
+        const matched = hits.length - unread;
+        const blocked = hits.filter(hit => hit.error).length - unread;
+        summary.textContent = `${total} match${total === 1 ? '' : 'es'} in ${matched} record${matched === 1 ? '' : 's'}`
+            + (ready.length > 0 ? ` · ${ready.length} to change` : '')
+            + (blocked > 0 ? ` · ${blocked} cannot be replaced` : '')
+            + (unread > 0 ? ` · ${unread} IndexedDB store${unread === 1 ? '' : 's'} not fully read` : '');
+        replaceBtn.disabled = ready.length === 0;
+        replaceBtn.textContent = ready.length > 0 ? `Replace in ${ready.length} Record${ready.length === 1 ? '' : 's'}` : 'Replace All';
+        grid.render(hits);
+    };
+
+    container.querySelector('#find-search-btn').onclick = run;
+    patternInput.onkeydown = (e) => { if (e.key === 'Enter') run(); };
+    replacementInput.onkeydown = (e) => { if (e.key === 'Enter') run(); };
+    // The preview is stale once the inputs change
+    [patternInput, replacementInput].forEach(input => input.addEventListener('input', () => { replaceBtn.disabled = true; }));
+    [regexBox, caseBox, ...storageBoxes].forEach(box => box.onchange = run);
+
+    replaceBtn.onclick = async () => {
+        const blocked = hits.filter(hit => hit.error).length;
+        const ready = hits.filter(hit => !hit.error && (hit.newKey !== hit.key || hit.newValue !== hit.value)).length;
+        if (!confirm(`Write ${ready} record${ready === 1 ? '' : 's'}?${blocked > 0 ? ` ${blocked} with errors will be left as they are.` : ''} If any write fails, the ones before it are rolled back.`)) return;
+        try {
+            const written = await storageSearch.replaceAll(hits);
+            summary.textContent = `Replaced in ${written} record${written === 1 ? '' : 's'}.`;
+        } catch (e) {
+            alert(e.message);
+        }
+        // Show what is left, if anything
+        await run();
+    };
+
+    if (state.pattern) await run();
+    patternInput.focus();
+}
+
 async function renderPageVariables(container, force = false) {
     if (!currentTabId) return;
 
@@ -1387,6 +3723,17 @@ async function renderPageVariables(container, force = false) {
                     }
                 ],
                 enableGlobalContextMenu: false,
+                onBulkDelete: async (items) => {
+                    try {
+                        for (const item of items) {
+                            await pageVariablesManager.deleteVariable(item.key);
+                        }
+                    } catch (e) {
+                        alert('Delete Failed: ' + e.message);
+                    }
+                    renderPageVariables(container, true);
+                },
+                onBulkDecode: (items) => showBulkDecode(items),
                 onEdit: (item) => {
                     // Prettify if it looks like an object/array
                     let val = item.value;